@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Accumulate wall-clock time per generation phase (`--profile`).
+ *
+ * time(phase, fn) runs fn and adds its duration to the phase; when fn returns
+ * a promise the time is added once it settles. Phases keep first-seen order.
+ *
+ * @returns {{time: Function, count: Function, phases: Map<string, {ms: number, calls: number}>, counters: Map<string, number>}}
+ */
+function createProfile() {
+  const phases = new Map();
+  const counters = new Map();
+
+  function add(phase, start) {
+    const entry = phases.get(phase) || { ms: 0, calls: 0 };
+    entry.ms += Number(process.hrtime.bigint() - start) / 1e6;
+    entry.calls++;
+    phases.set(phase, entry);
+  }
+
+  return {
+    phases,
+    counters,
+    time(phase, fn) {
+      const start = process.hrtime.bigint();
+      let result;
+      try {
+        result = fn();
+      } catch (err) {
+        add(phase, start);
+        throw err;
+      }
+      if (result && typeof result.then === 'function') {
+        return result.finally(() => add(phase, start));
+      }
+      add(phase, start);
+      return result;
+    },
+    count(name, n = 1) {
+      counters.set(name, (counters.get(name) || 0) + n);
+    }
+  };
+}
+
+/**
+ * Format a profile as an aligned table, slowest phase first.
+ *
+ * @param {Object} profile - From createProfile()
+ * @returns {string}
+ */
+function formatProfile(profile) {
+  const rows = [...profile.phases].sort((a, b) => b[1].ms - a[1].ms);
+  const width = Math.max(5, ...rows.map(([phase]) => phase.length));
+  const lines = [`${'Phase'.padEnd(width)}  ${'ms'.padStart(9)}  calls`];
+  for (const [phase, { ms, calls }] of rows) {
+    lines.push(`${phase.padEnd(width)}  ${ms.toFixed(1).padStart(9)}  ${String(calls).padStart(5)}`);
+  }
+  if (profile.counters.size > 0) {
+    lines.push([...profile.counters].map(([name, n]) => `${name}: ${n}`).join(', '));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { createProfile, formatProfile };
@@ -2,6 +2,7 @@
 
 const path = require('path');
 const { parseChecklistsDetailed } = require('./parser');
+const { loadConfig, featureDirPath, featureSourceDir } = require('./config');
 
 /**
  * Map a percentage (0-100) to a color bracket.
@@ -48,8 +49,9 @@ function computeGateStatus(files) {
  * @returns {{files: Array, gate: {status: string, level: string, label: string}}}
  */
 function computeChecklistViewState(projectPath, featureId) {
-  const checklistDir = path.join(projectPath, 'specs', featureId, 'checklists');
-  const parsed = parseChecklistsDetailed(checklistDir);
+  const checklistDir = path.join(featureDirPath(projectPath, featureId), 'checklists');
+  const parsed = parseChecklistsDetailed(checklistDir, `${featureSourceDir(projectPath, featureId)}/checklists`,
+    loadConfig(projectPath).checklists.exclude);
 
   const files = parsed.map(file => {
     const percentage = file.total > 0 ? Math.round((file.checked / file.total) * 100) : 0;
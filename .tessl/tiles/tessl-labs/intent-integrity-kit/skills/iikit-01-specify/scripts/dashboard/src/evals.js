@@ -0,0 +1,226 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const childProcess = require('child_process');
+const { promisify } = require('util');
+const { readJson } = require('./files');
+
+const execFileAsync = promisify(childProcess.execFile);
+
+// Directories holding one saved `tessl eval view --json` result per tile
+// (workspace--tile.json); fetch-tile-evals.sh writes to .specify/evals/
+const EVAL_DIRS = [path.join('.tessl', 'evals'), path.join('.specify', 'evals')];
+
+// Tile names as they appear in tessl.json: "workspace/tile", no option-like or ".." parts
+const TILE_NAME = /^[\w@][\w.@-]*(?:\/[\w@][\w.@-]*)*$/;
+
+// In-memory cache for CLI eval data per tile name, and why the CLI had none
+const evalCache = new Map();
+const evalErrors = new Map();
+
+/**
+ * Compute eval summary from a detailed eval run response.
+ * Extracts score, multiplier, and pass/fail chart data from scenarios.
+ */
+function computeEvalSummary(evalRun) {
+  if (!evalRun || !evalRun.attributes || !evalRun.attributes.scenarios) return null;
+
+  let usageTotal = 0, usageMax = 0, baselineTotal = 0;
+  let pass = 0, fail = 0;
+
+  for (const scenario of evalRun.attributes.scenarios) {
+    if (!scenario.solutions) continue;
+
+    const usageSpec = scenario.solutions.find(s => s.variant === 'usage-spec');
+    const baseline = scenario.solutions.find(s => s.variant === 'baseline');
+
+    if (usageSpec && usageSpec.assessmentResults) {
+      for (const r of usageSpec.assessmentResults) {
+        usageTotal += r.score;
+        usageMax += r.max_score;
+        if (r.score === r.max_score) pass++;
+        else fail++;
+      }
+    }
+
+    if (baseline && baseline.assessmentResults) {
+      for (const r of baseline.assessmentResults) {
+        baselineTotal += r.score;
+      }
+    }
+  }
+
+  if (usageMax === 0) return null;
+
+  const score = Math.round(usageTotal / usageMax * 100);
+  const multiplier = baselineTotal > 0
+    ? Math.round(usageTotal / baselineTotal * 100) / 100
+    : null;
+
+  return { score, multiplier, chartData: { pass, fail } };
+}
+
+/**
+ * Summarize a score-only record such as the fetch-tile-evals.sh --json output
+ * or a context.json planview.evalScores entry ({score, max_score?, pct?}).
+ */
+function summarizeScore(record) {
+  if (!record || typeof record !== 'object') return null;
+  let score = record.pct;
+  if (typeof score !== 'number' && typeof record.score === 'number') {
+    const max = typeof record.max_score === 'number' && record.max_score > 0 ? record.max_score : 100;
+    score = Math.round(record.score / max * 100);
+  }
+  if (typeof score !== 'number' || !Number.isFinite(score)) return null;
+  return { score, multiplier: null, chartData: { pass: 0, fail: 0 } };
+}
+
+function mtimeIso(filePath) {
+  try {
+    return fs.statSync(filePath).mtime.toISOString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a saved eval for a tile from .tessl/evals/ or .specify/evals/. Accepts
+ * the `tessl eval view --json` response, a bare eval run or a score summary.
+ * The file's mtime is when the data was fetched.
+ *
+ * @param {string} projectPath - Path to project root
+ * @param {string} tileName - Tile name (e.g., "tessl/npm-express")
+ * @returns {{score: number, multiplier: number|null, chartData: {pass: number, fail: number}, fetchedAt: string|null}|null}
+ */
+function readCachedEval(projectPath, tileName) {
+  const fileName = `${tileName.split('/').join('--')}.json`;
+  for (const dir of EVAL_DIRS) {
+    const filePath = path.join(projectPath, dir, fileName);
+    const json = readJson(filePath);
+    if (!json) continue;
+    const summary = computeEvalSummary(json.data) || computeEvalSummary(json) || summarizeScore(json);
+    if (summary) return { ...summary, fetchedAt: mtimeIso(filePath) };
+  }
+  return null;
+}
+
+/**
+ * Read the eval score /iikit-02-plan recorded in .specify/context.json
+ * (planview.evalScores). context.json's mtime is when it was fetched.
+ *
+ * @param {string} projectPath - Path to project root
+ * @param {string} tileName - Tile name
+ * @returns {Object|null} Same shape as readCachedEval
+ */
+function readContextEval(projectPath, tileName) {
+  const contextPath = path.join(projectPath, '.specify', 'context.json');
+  const context = readJson(contextPath);
+  const scores = context && context.planview ? context.planview.evalScores : null;
+  if (!scores || typeof scores !== 'object' || !Object.prototype.hasOwnProperty.call(scores, tileName)) return null;
+  const summary = summarizeScore(scores[tileName]);
+  return summary ? { ...summary, fetchedAt: mtimeIso(contextPath) } : null;
+}
+
+async function runTessl(args, timeout) {
+  const { stdout } = await execFileAsync('tessl', args, { timeout, windowsHide: true });
+  return JSON.parse(stdout.substring(stdout.indexOf('{')));
+}
+
+/**
+ * Short reason for a failed tessl CLI call, shown in the plan view.
+ */
+function describeTesslFailure(err) {
+  if (err instanceof SyntaxError) return 'unparseable JSON';
+  if (err.code === 'ENOENT') return 'tessl not found';
+  if (err.killed || err.code === 'ETIMEDOUT') return 'timeout';
+  if (typeof err.code === 'number') return `exit code ${err.code}`;
+  return err.message;
+}
+
+/**
+ * Fetch eval data for a Tessl tile using the tessl CLI. Arguments are passed
+ * without a shell, so tessl.json keys can't inject commands.
+ * Returns structured eval data or null if unavailable; the reason it is
+ * unavailable is kept for readEvalError.
+ *
+ * @param {string} tileName - Tile name (e.g., "tessl/npm-express")
+ * @returns {Promise<{score: number, multiplier: number, chartData: {pass: number, fail: number}, fetchedAt: string}|null>}
+ */
+async function fetchTesslEvalData(tileName) {
+  if (evalCache.has(tileName)) return evalCache.get(tileName);
+
+  let evalData = null;
+  let error = null;
+  try {
+    // List eval runs for the tile
+    const listJson = await runTessl(['eval', 'list', '--json', '--tile', tileName, '--limit', '1'], 10000);
+
+    // Find the most recent completed eval run
+    const completedRun = (listJson.data || []).find(r => r.attributes && r.attributes.status === 'completed');
+    const runId = completedRun ? String(completedRun.id) : '';
+
+    // Fetch detailed eval results
+    if (runId && !runId.startsWith('-')) {
+      const viewJson = await runTessl(['eval', 'view', '--json', runId], 15000);
+      const summary = computeEvalSummary(viewJson.data);
+      if (summary) evalData = { ...summary, fetchedAt: new Date().toISOString() };
+      else error = 'no scored results';
+    } else {
+      error = 'no completed eval run';
+    }
+  } catch (err) {
+    // The next source may still have data
+    error = describeTesslFailure(err);
+  }
+  evalCache.set(tileName, evalData);
+  if (error) evalErrors.set(tileName, error);
+  else evalErrors.delete(tileName);
+  return evalData;
+}
+
+/**
+ * Why the tessl CLI had no eval data for a tile ("tessl not found",
+ * "timeout", "exit code 1", "unparseable JSON", ...).
+ *
+ * @param {string} tileName - Tile name
+ * @returns {string|null} null when the CLI wasn't asked or returned data
+ */
+function readEvalError(tileName) {
+  return evalErrors.get(tileName) || null;
+}
+
+// Eval sources by config name (planview.evalSources), each (projectPath, tileName) -> data or null
+const EVAL_SOURCES = {
+  cache: readCachedEval,
+  context: readContextEval,
+  cli: (projectPath, tileName) => fetchTesslEvalData(tileName)
+};
+
+/**
+ * Eval data for a tile from the first source that has it, tagged with that
+ * source's name.
+ *
+ * @param {string} projectPath - Path to project root
+ * @param {string} tileName - Tile name from tessl.json
+ * @param {string[]} [sources] - Source names in order (config planview.evalSources)
+ * @returns {Promise<{score: number, multiplier: number|null, chartData: {pass: number, fail: number}, source: string, fetchedAt: string|null}|null>}
+ */
+async function fetchEvalData(projectPath, tileName, sources = Object.keys(EVAL_SOURCES)) {
+  if (!TILE_NAME.test(tileName)) return null;
+  for (const source of sources) {
+    const data = await EVAL_SOURCES[source](projectPath, tileName);
+    if (data) return { ...data, source };
+  }
+  return null;
+}
+
+/**
+ * Invalidate eval cache (e.g., when tessl.json changes).
+ */
+function invalidateEvalCache() {
+  evalCache.clear();
+  evalErrors.clear();
+}
+
+module.exports = { EVAL_DIRS, EVAL_SOURCES, fetchEvalData, fetchTesslEvalData, readEvalError, readCachedEval, readContextEval, invalidateEvalCache };
@@ -4,23 +4,51 @@
 const path = require('path');
 const fs = require('fs');
 
-const { parseSpecStories, parseTasks, parseConstitutionPrinciples, parsePremise } = require('./parser');
-const { computeBoardState } = require('./board');
-const { computeAssertionHash, checkIntegrity } = require('./integrity');
+const { parseSpecStories, parseTaskPhases, parseTasks, parseConstitutionPrinciples, parsePremise, toSourcePath } = require('./parser');
+const { computeBoardState, computePhaseProgress } = require('./board');
+const { readTaskCheckTimes, computeBoardMetrics } = require('./metrics');
 const { computePipelineState } = require('./pipeline');
 const { computeStoryMapState } = require('./storymap');
-const { computePlanViewState } = require('./planview');
+const { computePlanViewState, invalidateCache } = require('./planview');
+const { invalidateEvalCache } = require('./evals');
+const { computeFileDrift } = require('./drift');
 const { computeChecklistViewState } = require('./checklist');
-const { computeTestifyState, getFeatureFiles } = require('./testify');
+const { computeFeatureIntegrity, computeTestifyState } = require('./testify');
+const { computeTaskGraphState } = require('./taskgraph');
 const { computeAnalyzeState } = require('./analyze');
 const { computeBugsState } = require('./bugs');
+const { watchProject } = require('./watch');
+const { createDashboardServer } = require('./server');
+const { toExportDocument } = require('./export');
+const { evaluateGate, formatGateResult } = require('./gate');
+const { lintProject, formatLintText } = require('./lint');
+const { readHistory, recordHistory, attachHistory } = require('./history');
+const { recommendNextActions } = require('./recommend');
+const { CONFIG_FILE, loadConfig, featureDirPath, featureSourceDir } = require('./config');
+const { readText } = require('./files');
+const { openFeatureCache } = require('./cache');
+const { createProfile, formatProfile } = require('./profile');
+
+const DEFAULT_PORT = 3737;
+
+// Allowed --format values per command; the first entry is the default
+const OUTPUT_FORMATS = {
+  generate: ['html', 'json'],
+  serve: ['html', 'json'],
+  gate: ['text'],
+  lint: ['text', 'json']
+};
+
+const LINT_ERROR_EXIT_CODE = 6;
+
+const USAGE = 'Usage: generate-dashboard.js [serve|gate|lint] <projectPath> [--watch] [--port <n>] [--format html|json|text] [--feature <id>] [--profile]';
 
 /**
- * List features from specs/ directory.
- * A feature is a directory under specs/ that contains spec.md (FR-004).
+ * List features from the features directory (config featuresDir, default specs/).
+ * A feature is a directory under it that contains spec.md (FR-004).
  */
 function listFeatures(projectPath) {
-  const specsDir = path.join(projectPath, 'specs');
+  const specsDir = path.join(projectPath, loadConfig(projectPath).featuresDir);
   if (!fs.existsSync(specsDir)) return [];
 
   const entries = fs.readdirSync(specsDir, { withFileTypes: true });
@@ -33,8 +61,8 @@ function listFeatures(projectPath) {
     if (!fs.existsSync(specPath)) continue;
 
     const tasksPath = path.join(featureDir, 'tasks.md');
-    const specContent = fs.readFileSync(specPath, 'utf-8');
-    const tasksContent = fs.existsSync(tasksPath) ? fs.readFileSync(tasksPath, 'utf-8') : '';
+    const specContent = readText(specPath);
+    const tasksContent = readText(tasksPath) || '';
     const stories = parseSpecStories(specContent);
     const tasks = parseTasks(tasksContent);
 
@@ -88,69 +116,98 @@ function listFeatures(projectPath) {
 }
 
 /**
- * Compute board state with integrity for a feature.
+ * Compute board state with integrity for a feature. Pass integrity when the
+ * caller already has it from computeFeatureIntegrity().
  */
-function getBoardState(projectPath, featureId) {
-  const featureDir = path.join(projectPath, 'specs', featureId);
+function getBoardState(projectPath, featureId, integrity = null) {
+  const featureDir = featureDirPath(projectPath, featureId);
   const specPath = path.join(featureDir, 'spec.md');
   const tasksPath = path.join(featureDir, 'tasks.md');
-  const contextPath = path.join(featureDir, 'context.json');
 
-  const specContent = fs.existsSync(specPath) ? fs.readFileSync(specPath, 'utf-8') : '';
-  const tasksContent = fs.existsSync(tasksPath) ? fs.readFileSync(tasksPath, 'utf-8') : '';
+  const specContent = readText(specPath) || '';
+  const tasksContent = readText(tasksPath) || '';
 
-  const stories = parseSpecStories(specContent);
-  const tasks = parseTasks(tasksContent);
+  const stories = parseSpecStories(specContent, toSourcePath(projectPath, specPath));
+  const tasks = parseTasks(tasksContent, toSourcePath(projectPath, tasksPath));
   const board = computeBoardState(stories, tasks);
+  const phases = computePhaseProgress(parseTaskPhases(tasksContent, toSourcePath(projectPath, tasksPath)), tasks);
+  const metrics = computeBoardMetrics(board, readTaskCheckTimes(tasksPath), loadConfig(projectPath).metrics);
 
-  let integrity = { status: 'missing', currentHash: null, storedHash: null };
-  const featureFiles = getFeatureFiles(featureDir);
-  if (featureFiles.length > 0) {
-    const allFeatureContent = featureFiles.map(f => fs.readFileSync(f, 'utf-8')).join('\n');
-    const currentHash = computeAssertionHash(allFeatureContent);
-    let storedHash = null;
-    if (fs.existsSync(contextPath)) {
-      try {
-        const context = JSON.parse(fs.readFileSync(contextPath, 'utf-8'));
-        storedHash = context?.testify?.assertion_hash || null;
-      } catch {
-        // malformed context.json
-      }
+  return { ...board, phases, metrics, integrity: integrity || computeFeatureIntegrity(featureDir) };
+}
+
+/**
+ * Compute all view states for a single feature.
+ *
+ * @param {string} resolvedPath - Absolute project root
+ * @param {string} fid - Feature ID
+ * @param {Object} [options]
+ * @param {Object} [options.cache] - From openFeatureCache(); an unchanged feature reuses its entry
+ * @param {Object} [options.profile] - From createProfile(); receives per-view timings
+ */
+async function computeFeatureData(resolvedPath, fid, options = {}) {
+  const { cache = null, profile = createProfile() } = options;
+  const { time } = profile;
+
+  if (cache) {
+    const cached = time('cache', () => cache.get(fid));
+    profile.count(cached ? 'cache hits' : 'cache misses');
+    if (cached) {
+      // The planned files live outside the feature directory, so compare them afresh
+      if (cached.planView.fileStructure) cached.planView.drift = computeFileDrift(resolvedPath, cached.planView.fileStructure);
+      return cached;
     }
-    integrity = checkIntegrity(currentHash, storedHash);
   }
 
-  return { ...board, integrity };
+  const integrity = time('integrity', () => computeFeatureIntegrity(featureDirPath(resolvedPath, fid)));
+  const board = time('board', () => getBoardState(resolvedPath, fid, integrity));
+  const checklist = time('checklist', () => computeChecklistViewState(resolvedPath, fid));
+  const bugs = time('bugs', () => computeBugsState(resolvedPath, fid));
+  const featureData = {
+    board,
+    pipeline: time('pipeline', () => computePipelineState(resolvedPath, fid)),
+    storyMap: time('storyMap', () => computeStoryMapState(resolvedPath, fid)),
+    planView: await time('planView', () => computePlanViewState(resolvedPath, fid)),
+    checklist,
+    testify: time('testify', () => computeTestifyState(resolvedPath, fid, integrity)),
+    taskGraph: time('taskGraph', () => computeTaskGraphState(resolvedPath, fid)),
+    analyze: time('analyze', () => computeAnalyzeState(resolvedPath, fid, { checklist, bugs, integrity })),
+    bugs
+  };
+  featureData.pipeline.recommendations = time('recommend', () => recommendNextActions(featureData));
+
+  if (cache) time('cache', () => cache.set(fid, featureData));
+  return featureData;
 }
 
 /**
- * Assemble DASHBOARD_DATA for all features.
+ * Assemble DASHBOARD_DATA for all features. Features whose inputs are
+ * unchanged since the last run are read from .specify/cache/ (see cache.js).
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {Object} [options]
+ * @param {boolean} [options.writeCache=true] - Store recomputed features (false for read-only commands)
+ * @param {Object} [options.profile] - From createProfile()
  */
-async function assembleDashboardData(projectPath) {
+async function assembleDashboardData(projectPath, options = {}) {
+  const { writeCache = true, profile = createProfile() } = options;
   const resolvedPath = path.resolve(projectPath);
-  const features = listFeatures(resolvedPath);
-  const constitution = parseConstitutionPrinciples(resolvedPath);
-  const premise = parsePremise(resolvedPath);
+  const features = profile.time('features', () => listFeatures(resolvedPath));
+  const constitution = profile.time('constitution', () => parseConstitutionPrinciples(resolvedPath));
+  const premise = profile.time('premise', () => parsePremise(resolvedPath));
+  const cache = profile.time('cache', () => openFeatureCache(resolvedPath, { write: writeCache }));
 
   const featureData = {};
   for (const feature of features) {
     const fid = feature.id;
     try {
-      featureData[fid] = {
-        board: getBoardState(resolvedPath, fid),
-        pipeline: computePipelineState(resolvedPath, fid),
-        storyMap: computeStoryMapState(resolvedPath, fid),
-        planView: await computePlanViewState(resolvedPath, fid),
-        checklist: computeChecklistViewState(resolvedPath, fid),
-        testify: computeTestifyState(resolvedPath, fid),
-        analyze: computeAnalyzeState(resolvedPath, fid),
-        bugs: computeBugsState(resolvedPath, fid)
-      };
+      featureData[fid] = await computeFeatureData(resolvedPath, fid, { cache, profile });
     } catch (err) {
-      process.stderr.write(`Error: Parser failed on specs/${fid}/spec.md: ${err.message}. Check artifact syntax.\n`);
+      process.stderr.write(`Error: Parser failed on ${featureSourceDir(resolvedPath, fid)}: ${err.message}. Check artifact syntax.\n`);
       process.exit(5);
     }
   }
+  cache.retain(features.map(f => f.id));
 
   return {
     meta: {
@@ -164,6 +221,76 @@ async function assembleDashboardData(projectPath) {
   };
 }
 
+/**
+ * Re-assemble DASHBOARD_DATA after a batch of file changes, recomputing only
+ * the affected features. Project-level files (CONSTITUTION.md, PREMISE.md,
+ * tessl.json) feed every feature's pipeline or plan view, so they invalidate all.
+ *
+ * Unlike assembleDashboardData, a parser failure does not exit: the feature
+ * keeps its previous data and a warning is printed, so a half-saved file
+ * doesn't kill a long-running watcher.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {Object} previous - DASHBOARD_DATA from the previous cycle
+ * @param {{projectFiles: string[], features: Object<string, string[]>}} changes
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - From createProfile()
+ * @returns {Promise<{data: Object, updated: string[]}>} New data and the feature IDs that were recomputed
+ */
+async function refreshDashboardData(projectPath, previous, changes, options = {}) {
+  const { profile = createProfile() } = options;
+  const resolvedPath = path.resolve(projectPath);
+  const features = listFeatures(resolvedPath);
+  const projectChanged = changes.projectFiles.length > 0;
+
+  // Drop cached planview results that the changed files make stale
+  // Eval sources and context.json evalScores feed the eval cache too
+  if (['tessl.json', CONFIG_FILE, '.specify/context.json'].some(f => changes.projectFiles.includes(f))) invalidateEvalCache();
+  for (const [fid, files] of Object.entries(changes.features)) {
+    if (files.length === 0 || files.some(f => f === 'plan.md')) invalidateCache(fid);
+  }
+
+  const constitution = changes.projectFiles.includes('CONSTITUTION.md')
+    ? parseConstitutionPrinciples(resolvedPath)
+    : previous.constitution;
+  const premise = changes.projectFiles.includes('PREMISE.md')
+    ? parsePremise(resolvedPath)
+    : previous.premise;
+
+  const cache = profile.time('cache', () => openFeatureCache(resolvedPath));
+  const featureData = {};
+  const updated = [];
+  for (const feature of features) {
+    const fid = feature.id;
+    const stale = projectChanged || fid in changes.features || !previous.featureData[fid];
+    if (!stale) {
+      featureData[fid] = previous.featureData[fid];
+      continue;
+    }
+    try {
+      featureData[fid] = await computeFeatureData(resolvedPath, fid, { cache, profile });
+      updated.push(fid);
+    } catch (err) {
+      process.stderr.write(`Warning: Parser failed on ${featureSourceDir(resolvedPath, fid)}: ${err.message}. Keeping previous data.\n`);
+      if (previous.featureData[fid]) featureData[fid] = previous.featureData[fid];
+    }
+  }
+
+  return {
+    data: {
+      meta: {
+        projectPath: resolvedPath,
+        generatedAt: new Date().toISOString()
+      },
+      features,
+      constitution,
+      premise,
+      featureData
+    },
+    updated
+  };
+}
+
 /**
  * Inject data into HTML template and return the complete HTML string.
  */
@@ -178,7 +305,8 @@ function buildHtml(templateHtml, dashboardData) {
   html = html.replace('</head>', headInject + '</head>');
 
   // No auto-reload — it destroys user interaction (expanded cards, scroll position).
-  // Dashboard is regenerated by generate-dashboard-safe.sh after each skill invocation.
+  // Dashboard is regenerated by generate-dashboard-safe.sh after each skill invocation,
+  // or continuously by `generate-dashboard.js <projectPath> --watch`.
   // User refreshes manually (F5) or clicks the refresh button in the header.
 
   return html;
@@ -216,43 +344,291 @@ function loadTemplate() {
 }
 
 /**
- * Run one generation cycle.
+ * Write DASHBOARD_DATA to the configured output: .specify/dashboard.html
+ * (default) or the versioned .specify/dashboard-data.json export (see export.js).
+ *
+ * @param {string} resolvedPath - Absolute project root
+ * @param {Object} dashboardData - Assembled DASHBOARD_DATA
+ * @param {string} [format="html"] - "html" or "json"
  */
-async function generate(projectPath) {
-  const resolvedPath = path.resolve(projectPath);
-  const templateHtml = loadTemplate();
-
-  const dashboardData = await assembleDashboardData(resolvedPath);
+function writeDashboard(resolvedPath, dashboardData, format = 'html') {
+  const { output } = loadConfig(resolvedPath);
 
   // Size warning (SC-007)
   for (const feature of dashboardData.features) {
     const featureJson = JSON.stringify(dashboardData.featureData[feature.id] || {});
-    if (featureJson.length > 500 * 1024) {
+    if (featureJson.length > output.sizeWarningKB * 1024) {
       const sizeMB = (featureJson.length / (1024 * 1024)).toFixed(1);
       process.stderr.write(`Warning: Feature ${feature.id}: large artifacts detected (${sizeMB} MB). Dashboard may load slowly.\n`);
     }
   }
 
-  const html = buildHtml(templateHtml, dashboardData);
-  const outputPath = path.join(resolvedPath, '.specify', 'dashboard.html');
+  const outputPath = format === 'json' ? output.json : output.html;
+  const fileName = path.basename(outputPath);
+  const content = format === 'json'
+    ? JSON.stringify(toExportDocument(dashboardData), null, 2) + '\n'
+    : buildHtml(loadTemplate(), dashboardData);
 
-  writeAtomic(outputPath, html);
+  writeAtomic(path.join(resolvedPath, outputPath), content);
   const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
-  process.stdout.write(`[${now}] Generated dashboard.html (${(html.length / 1024).toFixed(0)} KB)\n`);
+  process.stdout.write(`[${now}] Generated ${fileName} (${(content.length / 1024).toFixed(0)} KB)\n`);
+}
+
+/**
+ * Append this generation's metrics to .specify/history.jsonl and attach the
+ * resulting time series (burndown, health trend, constitution versions) to
+ * DASHBOARD_DATA in place.
+ *
+ * @param {string} resolvedPath - Absolute project root
+ * @param {Object} dashboardData - Assembled DASHBOARD_DATA
+ */
+function updateHistory(resolvedPath, dashboardData) {
+  const entries = readHistory(resolvedPath);
+  entries.push(...recordHistory(resolvedPath, dashboardData, entries));
+  attachHistory(dashboardData, entries);
+}
+
+/**
+ * Print per-phase timings to stderr (stdout may carry machine-readable output).
+ */
+function reportProfile(profile) {
+  process.stderr.write(formatProfile(profile));
+}
+
+/**
+ * Run one generation cycle.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {Object} [options]
+ * @param {string} [options.format="html"] - Output format: "html" or "json"
+ * @param {boolean} [options.profile] - Print per-phase timings
+ */
+async function generate(projectPath, options = {}) {
+  const resolvedPath = path.resolve(projectPath);
+  const profile = createProfile();
+  const dashboardData = await assembleDashboardData(resolvedPath, { profile });
+  profile.time('history', () => updateHistory(resolvedPath, dashboardData));
+  profile.time('write', () => writeDashboard(resolvedPath, dashboardData, options.format));
+  if (options.profile) reportProfile(profile);
+}
+
+/**
+ * Generate once, then keep regenerating as artifacts change until interrupted.
+ * Watches <featuresDir>/<feature>/, CONSTITUTION.md, PREMISE.md, tessl.json,
+ * .specify/dashboard.config.json and .specify/context.json.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {Object} [options]
+ * @param {number} [options.debounceMs] - Quiet period before regenerating
+ * @param {string} [options.format="html"] - Output format: "html" or "json"
+ * @param {boolean} [options.profile] - Print per-phase timings after every cycle
+ * @param {Function} [options.onUpdate] - Called with (data, updated, changes) after each regeneration
+ * @returns {Promise<{close: Function, getData: Function}>}
+ */
+async function watch(projectPath, options = {}) {
+  const resolvedPath = path.resolve(projectPath);
+  const initial = createProfile();
+  let dashboardData = await assembleDashboardData(resolvedPath, { profile: initial });
+  initial.time('history', () => updateHistory(resolvedPath, dashboardData));
+  initial.time('write', () => writeDashboard(resolvedPath, dashboardData, options.format));
+  if (options.profile) reportProfile(initial);
+
+  // Serialize cycles — a burst arriving mid-generation is handled after it finishes
+  let running = Promise.resolve();
+  const watcher = watchProject(resolvedPath, changes => {
+    running = running.then(async () => {
+      const profile = createProfile();
+      const { data, updated } = await refreshDashboardData(resolvedPath, dashboardData, changes, { profile });
+      dashboardData = data;
+      if (updated.length > 0) {
+        process.stdout.write(`Updated: ${updated.join(', ')}\n`);
+      }
+      profile.time('history', () => updateHistory(resolvedPath, dashboardData));
+      profile.time('write', () => writeDashboard(resolvedPath, dashboardData, options.format));
+      if (options.profile) reportProfile(profile);
+      if (options.onUpdate) options.onUpdate(dashboardData, updated, changes);
+    }).catch(err => {
+      process.stderr.write(`Error: ${err.message}\n`);
+    });
+  }, options);
+
+  process.stdout.write(`Watching ${resolvedPath} for changes (Ctrl+C to stop)\n`);
+  return { close: () => watcher.close(), getData: () => dashboardData };
+}
+
+/**
+ * Build the SSE payload for one regeneration: only the recomputed features,
+ * plus constitution/premise when those files changed.
+ */
+function buildLiveDelta(data, updated, changes) {
+  const featureData = {};
+  for (const fid of updated) featureData[fid] = data.featureData[fid];
+  return {
+    meta: { ...data.meta, live: true },
+    features: data.features,
+    featureData,
+    constitution: changes.projectFiles.includes('CONSTITUTION.md') ? data.constitution : undefined,
+    premise: changes.projectFiles.includes('PREMISE.md') ? data.premise : undefined
+  };
+}
+
+/**
+ * Host the dashboard on localhost and push per-feature deltas over
+ * Server-Sent Events. The page patches DASHBOARD_DATA in place instead of
+ * reloading, so expanded cards and scroll position survive updates.
+ * The dashboard file (.specify/dashboard.html by default) is still written on every cycle.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {Object} [options]
+ * @param {number} [options.port=3737] - Port to bind on 127.0.0.1 (0 picks a free port)
+ * @returns {Promise<{port: number, close: Function}>}
+ */
+async function serve(projectPath, options = {}) {
+  let server = null;
+  const watcher = await watch(projectPath, {
+    ...options,
+    onUpdate: (data, updated, changes) => {
+      if (server) server.broadcast('update', buildLiveDelta(data, updated, changes));
+    }
+  });
+
+  server = createDashboardServer({
+    getHtml: () => {
+      const data = watcher.getData();
+      return buildHtml(loadTemplate(), { ...data, meta: { ...data.meta, live: true } });
+    },
+    getData: watcher.getData
+  });
+
+  let port;
+  try {
+    port = await server.listen(options.port !== undefined ? options.port : DEFAULT_PORT, '127.0.0.1');
+  } catch (err) {
+    watcher.close();
+    server.close();
+    throw err;
+  }
+  process.stdout.write(`Serving dashboard at http://127.0.0.1:${port}/\n`);
+
+  return {
+    port,
+    close() {
+      watcher.close();
+      server.close();
+    }
+  };
+}
+
+/**
+ * Run the CI policy gate: assemble dashboard data without writing anything,
+ * evaluate gate.js rules, and report violations.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {Object} [options]
+ * @param {string} [options.feature] - Only check this feature
+ * @param {boolean} [options.profile] - Print per-phase timings
+ * @returns {Promise<Object>} Gate result (see evaluateGate)
+ * @throws {Error} When options.feature does not exist
+ */
+async function runGate(projectPath, options = {}) {
+  const resolvedPath = path.resolve(projectPath);
+  const profile = createProfile();
+  const dashboardData = await assembleDashboardData(resolvedPath, { writeCache: false, profile });
+  if (options.profile) reportProfile(profile);
+  if (options.feature && !dashboardData.featureData[options.feature]) {
+    throw new Error(`Feature not found: ${featureSourceDir(resolvedPath, options.feature)}`);
+  }
+  return evaluateGate(dashboardData, loadConfig(resolvedPath).gate, options.feature ? [options.feature] : undefined);
+}
+
+/**
+ * Lint IIKit artifacts: report near-miss syntax the parsers would silently drop,
+ * duplicate IDs and unknown references. Read-only.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {Object} [options]
+ * @param {string} [options.feature] - Only lint this feature
+ * @returns {{diagnostics: Array, summary: Object}} Lint result (see lint.js lintProject)
+ * @throws {Error} When options.feature does not exist
+ */
+function runLint(projectPath, options = {}) {
+  const resolvedPath = path.resolve(projectPath);
+  const featureIds = listFeatures(resolvedPath).map(f => f.id);
+  if (options.feature && !featureIds.includes(options.feature)) {
+    throw new Error(`Feature not found: ${featureSourceDir(resolvedPath, options.feature)}`);
+  }
+  return lintProject(resolvedPath, options.feature ? [options.feature] : featureIds);
+}
+
+/**
+ * Parse CLI arguments into a command, project path and flags.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command: string, projectPath: string|null, flags: Object}}
+ * @throws {Error} On unknown options or missing option values
+ */
+function parseArgs(argv) {
+  const commands = ['serve', 'gate', 'lint'];
+  const booleanFlags = ['--watch', '--profile'];
+  const valueFlags = ['--port', '--format', '--feature'];
+
+  const rest = [...argv];
+  const result = { command: 'generate', projectPath: null, flags: {} };
+  if (commands.includes(rest[0])) result.command = rest.shift();
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (booleanFlags.includes(arg)) {
+      result.flags[arg.slice(2)] = true;
+    } else if (valueFlags.includes(arg)) {
+      if (i + 1 >= rest.length) throw new Error(`Missing value for ${arg}`);
+      result.flags[arg.slice(2)] = rest[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (!result.projectPath) {
+      result.projectPath = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  return result;
 }
 
 /**
  * Main CLI entry point.
  */
 async function main() {
-  const args = process.argv.slice(2);
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    process.stderr.write(`Error: ${err.message}. ${USAGE}\n`);
+    process.exit(1);
+  }
+
+  if (!args.projectPath) {
+    process.stderr.write(`Error: Project path is required. ${USAGE}\n`);
+    process.exit(1);
+  }
 
-  if (args.length === 0) {
-    process.stderr.write('Error: Project path is required. Usage: generate-dashboard.js <projectPath>\n');
+  let port;
+  if (args.flags.port !== undefined) {
+    port = Number(args.flags.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      process.stderr.write(`Error: Invalid port: ${args.flags.port}. ${USAGE}\n`);
+      process.exit(1);
+    }
+  }
+
+  const formats = OUTPUT_FORMATS[args.command];
+  const format = args.flags.format || formats[0];
+  if (!formats.includes(format)) {
+    process.stderr.write(`Error: Invalid format: ${format}. ${USAGE}\n`);
     process.exit(1);
   }
 
-  const projectPath = path.resolve(args[0]);
+  const projectPath = path.resolve(args.projectPath);
 
   // Validate project directory exists (exit 1)
   if (!fs.existsSync(projectPath) || !fs.statSync(projectPath).isDirectory()) {
@@ -260,28 +636,75 @@ async function main() {
     process.exit(1);
   }
 
+  // Validate .specify/dashboard.config.json before any module reads it (exit 1)
+  let config;
+  try {
+    config = loadConfig(projectPath);
+  } catch (err) {
+    process.stderr.write(`Error: ${err.message}. Fix the configuration and re-run.\n`);
+    process.exit(1);
+  }
+
   // Warn if CONSTITUTION.md missing but continue (dashboard still useful)
   const constitutionPath = path.join(projectPath, 'CONSTITUTION.md');
   if (!fs.existsSync(constitutionPath)) {
     process.stderr.write('Warning: CONSTITUTION.md not found in project root. Dashboard will show constitution as missing.\n');
   }
 
-  // Check write permissions (exit 4)
-  const specifyDir = path.join(projectPath, '.specify');
-  try {
-    fs.mkdirSync(specifyDir, { recursive: true });
-    // Test write by creating and removing a temp file
-    const testFile = path.join(specifyDir, '.write-test-' + process.pid);
-    fs.writeFileSync(testFile, '');
-    fs.unlinkSync(testFile);
-  } catch (err) {
-    process.stderr.write(`Error: Permission denied writing to .specify/dashboard.html. Check directory permissions.\n`);
-    process.exit(4);
+  // Policy gate — read-only, exits with the first failing rule's code (10-13, see gate.js)
+  if (args.command === 'gate') {
+    let result;
+    try {
+      result = await runGate(projectPath, { feature: args.flags.feature, profile: args.flags.profile });
+    } catch (err) {
+      process.stderr.write(`Error: ${err.message}\n`);
+      process.exit(1);
+    }
+    process.stdout.write(formatGateResult(result));
+    process.exit(result.exitCode);
+  }
+
+  // Artifact linter — read-only, exits 6 when any error-severity diagnostic is found
+  if (args.command === 'lint') {
+    let result;
+    try {
+      result = runLint(projectPath, { feature: args.flags.feature });
+    } catch (err) {
+      process.stderr.write(`Error: ${err.message}\n`);
+      process.exit(1);
+    }
+    process.stdout.write(format === 'json' ? JSON.stringify(result, null, 2) + '\n' : formatLintText(result));
+    process.exit(result.summary.errors > 0 ? LINT_ERROR_EXIT_CODE : 0);
+  }
+
+  // Check write permissions (exit 4): .specify/ holds history.jsonl, the output may live elsewhere
+  const outputPath = format === 'json' ? config.output.json : config.output.html;
+  for (const dir of new Set([path.join(projectPath, '.specify'), path.dirname(path.join(projectPath, outputPath))])) {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      // Test write by creating and removing a temp file
+      const testFile = path.join(dir, '.write-test-' + process.pid);
+      fs.writeFileSync(testFile, '');
+      fs.unlinkSync(testFile);
+    } catch (err) {
+      process.stderr.write(`Error: Permission denied writing to ${path.relative(projectPath, dir) || '.'}/ (output: ${outputPath}). Check directory permissions.\n`);
+      process.exit(4);
+    }
   }
 
   // Run generation
   try {
-    await generate(projectPath);
+    if (args.command === 'serve' || args.flags.watch) {
+      const running = args.command === 'serve'
+        ? await serve(projectPath, { port, format, profile: args.flags.profile })
+        : await watch(projectPath, { format, profile: args.flags.profile });
+      process.on('SIGINT', () => {
+        running.close();
+        process.exit(0);
+      });
+      return;
+    }
+    await generate(projectPath, { format, profile: args.flags.profile });
   } catch (err) {
     process.stderr.write(`Error: ${err.message}\n`);
     process.exit(5);
@@ -292,4 +715,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { generate, assembleDashboardData, buildHtml, listFeatures, getBoardState };
+module.exports = { generate, watch, serve, runGate, runLint, parseArgs, assembleDashboardData, refreshDashboardData, computeFeatureData, buildHtml, listFeatures, getBoardState };
@@ -1,6 +1,5 @@
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
 const {
   parseAnalysisFindings,
@@ -9,23 +8,40 @@ const {
   parseConstitutionAlignment,
   parsePhaseSeparation,
   parseRequirements,
-  parseSuccessCriteria
+  parseSuccessCriteria,
+  parseTestSpecs,
+  parseTasks,
+  parseTaskTestRefs,
+  toSourcePath
 } = require('./parser');
+const { getFeatureFiles } = require('./testify');
+const { DEFAULT_CONFIG, loadConfig, featureDirPath } = require('./config');
+const { readText } = require('./files');
 
-const SEVERITY_PENALTIES = { CRITICAL: 25, HIGH: 15, MEDIUM: 5, LOW: 2 };
+// Built-in health factors, by ID (config.js HEALTH_FACTOR_IDS); the config picks which ones count and how much
+const HEALTH_FACTOR_LABELS = {
+  requirementsCoverage: 'Requirements Coverage',
+  constitutionCompliance: 'Constitution Compliance',
+  phaseSeparation: 'Phase Separation',
+  testCoverage: 'Test Coverage',
+  criticalBugs: 'Open Critical Bugs',
+  checklistCompletion: 'Checklist Completion',
+  integrity: 'Assertion Integrity'
+};
 
 /**
  * Compute phase separation score from violation entries.
  * Score = max(0, 100 - sum(penalties)).
  *
  * @param {Array<{severity: string}>} violations
+ * @param {Object<string, number>} [penalties] - Penalty per severity
  * @returns {number}
  */
-function computePhaseSeparationScore(violations) {
+function computePhaseSeparationScore(violations, penalties = DEFAULT_CONFIG.health.severityPenalties) {
   if (!violations || violations.length === 0) return 100;
 
   const penalty = violations.reduce((sum, v) => {
-    return sum + (SEVERITY_PENALTIES[v.severity] || 0);
+    return sum + (penalties[v.severity] || 0);
   }, 0);
 
   return Math.max(0, 100 - penalty);
@@ -46,35 +62,80 @@ function computeConstitutionCompliance(entries) {
 }
 
 /**
- * Compute health score from four factors (25% each).
+ * Compute the optional factors that come from other views.
+ * A factor is null when its source artifact doesn't exist.
  *
- * @param {{requirementsCoverage: number, constitutionCompliance: number, phaseSeparation: number, testCoverage: number}} factors
- * @returns {{score: number, zone: string, factors: Object}}
+ * @param {{checklist?: Object, bugs?: Object, integrity?: Object}} related - Checklist, bugs and board integrity state
+ * @param {Object<string, number>} penalties - Penalty per severity (CRITICAL applies per open critical bug)
+ * @returns {{criticalBugs: number|null, checklistCompletion: number|null, integrity: number|null}}
  */
-function computeHealthScore(factors) {
-  const { requirementsCoverage, constitutionCompliance, phaseSeparation, testCoverage } = factors;
+function computeRelatedFactors(related, penalties) {
+  const { checklist, bugs, integrity } = related;
 
-  const score = Math.round(
-    (requirementsCoverage + constitutionCompliance + phaseSeparation + testCoverage) / 4
-  );
+  const criticalBugs = bugs && bugs.exists
+    ? Math.max(0, 100 - bugs.summary.bySeverity.critical * (penalties.CRITICAL || 0))
+    : null;
 
-  let zone;
-  if (score <= 40) zone = 'red';
-  else if (score <= 70) zone = 'yellow';
-  else zone = 'green';
+  const files = (checklist && checklist.files) || [];
+  const total = files.reduce((sum, f) => sum + f.total, 0);
+  const checked = files.reduce((sum, f) => sum + f.checked, 0);
+
+  let integrityValue = null;
+  if (integrity && integrity.status === 'valid') integrityValue = 100;
+  else if (integrity && (integrity.status === 'tampered' || integrity.status === 'context-tampered')) integrityValue = 0;
 
   return {
-    score,
-    zone,
-    factors: {
-      requirementsCoverage: { value: requirementsCoverage, label: 'Requirements Coverage' },
-      constitutionCompliance: { value: constitutionCompliance, label: 'Constitution Compliance' },
-      phaseSeparation: { value: phaseSeparation, label: 'Phase Separation' },
-      testCoverage: { value: testCoverage, label: 'Test Coverage' }
-    }
+    criticalBugs,
+    checklistCompletion: total > 0 ? Math.round((checked / total) * 100) : null,
+    integrity: integrityValue
   };
 }
 
+/**
+ * Compute health score as the weighted average of the configured factors.
+ * Factors without a value (null, or not a built-in factor) or with weight 0
+ * are listed but don't count; with nothing to count the score is 100.
+ *
+ * @param {Object<string, number|null>} values - Factor values (0-100) by factor ID
+ * @param {Object} [config] - health section of the dashboard config (config.js)
+ * @returns {{score: number, zone: string, zones: {red: number, yellow: number},
+ *   factors: Object<string, {value: number|null, label: string, weight: number, share: number}>}}
+ *   share is the factor's percentage of the score.
+ */
+function computeHealthScore(values, config = DEFAULT_CONFIG.health) {
+  const entries = Object.entries(config.factors).map(([id, factor]) => {
+    // A factor is either its weight or {weight, label}
+    const def = typeof factor === 'number' ? { weight: factor } : factor;
+    const value = typeof values[id] === 'number' ? values[id] : null;
+    const weight = Math.max(0, Number(def.weight) || 0);
+    return { id, value, weight, label: def.label || HEALTH_FACTOR_LABELS[id] || id };
+  });
+
+  const counted = entries.filter(e => e.value !== null && e.weight > 0);
+  const totalWeight = counted.reduce((sum, e) => sum + e.weight, 0);
+  const score = totalWeight > 0
+    ? Math.round(counted.reduce((sum, e) => sum + e.value * e.weight, 0) / totalWeight)
+    : 100;
+
+  const { zones } = config;
+  let zone;
+  if (score <= zones.red) zone = 'red';
+  else if (score <= zones.yellow) zone = 'yellow';
+  else zone = 'green';
+
+  const factors = {};
+  for (const e of entries) {
+    factors[e.id] = {
+      value: e.value,
+      label: e.label,
+      weight: e.weight,
+      share: e.value !== null && totalWeight > 0 ? Math.round((e.weight / totalWeight) * 100) : 0
+    };
+  }
+
+  return { score, zone, zones: { red: zones.red, yellow: zones.yellow }, factors };
+}
+
 /**
  * Map a coverage entry to a cell status object.
  *
@@ -117,6 +178,7 @@ function buildHeatmapRows(requirements, coverageEntries) {
       return {
         id: req.id,
         text: req.text,
+        source: req.source || null,
         cells: {
           tasks: { status: 'missing', refs: [] },
           tests: { status: 'missing', refs: [] },
@@ -128,9 +190,12 @@ function buildHeatmapRows(requirements, coverageEntries) {
     return {
       id: req.id,
       text: req.text,
+      source: req.source || null,
       cells: {
         tasks: mapCellStatus(coverage.hasTask, coverage.taskIds, coverage.status === 'Partial' && !coverage.hasTask ? 'Partial' : null),
-        tests: mapCellStatus(coverage.hasTest, coverage.testIds, null),
+        tests: coverage.hasTest !== undefined
+          ? mapCellStatus(coverage.hasTest, coverage.testIds, null)
+          : { status: 'na', refs: [] },
         plan: coverage.hasPlan !== undefined
           ? mapCellStatus(coverage.hasPlan, coverage.planRefs, null)
           : { status: 'na', refs: [] }
@@ -139,22 +204,135 @@ function buildHeatmapRows(requirements, coverageEntries) {
   });
 }
 
+/**
+ * Compute requirement coverage from the artifacts themselves, independent of
+ * what analysis.md reports.
+ *
+ * - tests: test specs whose traceability tags name the requirement
+ * - tasks: tasks referencing one of those test specs (TS-XXX in the description)
+ *   or naming the requirement directly; "partial" when only some of the
+ *   requirement's test specs are referenced by a task
+ *
+ * @param {Array<{id: string}>} requirements - FR and SC from spec.md
+ * @param {Array<{id: string, traceability: string[]}>} testSpecs - From parseTestSpecs
+ * @param {Array<{id: string, description: string}>} tasks - From parseTasks
+ * @returns {Object<string, {tasks: {status: string, refs: string[]}, tests: {status: string, refs: string[]}}>}
+ */
+function computeCoverage(requirements, testSpecs, tasks) {
+  const taskTestRefs = parseTaskTestRefs(tasks);
+  const coverage = {};
+
+  for (const req of requirements) {
+    const testIds = testSpecs.filter(ts => ts.traceability.includes(req.id)).map(ts => ts.id);
+    const mentions = new RegExp(`\\b${req.id}\\b`);
+    const taskIds = [];
+    const implementedTests = new Set();
+    for (const task of tasks) {
+      const tsRefs = (taskTestRefs[task.id] || []).filter(id => testIds.includes(id));
+      tsRefs.forEach(id => implementedTests.add(id));
+      if ((tsRefs.length > 0 || mentions.test(task.description || '')) && !taskIds.includes(task.id)) {
+        taskIds.push(task.id);
+      }
+    }
+
+    let taskStatus = taskIds.length > 0 ? 'covered' : 'missing';
+    if (taskStatus === 'covered' && implementedTests.size > 0 && implementedTests.size < testIds.length) {
+      taskStatus = 'partial';
+    }
+
+    coverage[req.id] = {
+      tasks: { status: taskStatus, refs: taskIds },
+      tests: { status: testIds.length > 0 ? 'covered' : 'missing', refs: testIds }
+    };
+  }
+  return coverage;
+}
+
+const COVERAGE_RANK = { missing: 0, partial: 1, covered: 2 };
+
+/**
+ * Replace the reported tasks/tests cells of heatmap rows with computed ones and
+ * record where analysis.md disagrees. The plan column stays as reported, and
+ * columns analysis.md does not report ("na") are not compared.
+ *
+ * @param {Array<{id: string, cells: Object}>} rows - From buildHeatmapRows (reported)
+ * @param {Object} computed - From computeCoverage
+ * @param {Set<string>} reportedIds - Requirements that have a row in the analysis.md coverage table
+ * @returns {Array<{id: string, cells: Object, reported: Object|null,
+ *   discrepancies: Array<{column: string, reported: string, computed: string, kind: string}>}>}
+ *   kind is "overstated" when analysis.md reports more coverage than the artifacts show, else "understated".
+ */
+function reconcileCoverage(rows, computed, reportedIds) {
+  return rows.map(row => {
+    const reported = reportedIds.has(row.id) ? { tasks: row.cells.tasks, tests: row.cells.tests } : null;
+    const actual = computed[row.id];
+    const discrepancies = [];
+    if (reported) {
+      for (const column of ['tasks', 'tests']) {
+        if (reported[column].status === 'na') continue;
+        const diff = COVERAGE_RANK[reported[column].status] - COVERAGE_RANK[actual[column].status];
+        if (diff === 0) continue;
+        discrepancies.push({
+          column,
+          reported: reported[column].status,
+          computed: actual[column].status,
+          kind: diff > 0 ? 'overstated' : 'understated'
+        });
+      }
+    }
+    return {
+      ...row,
+      cells: { ...row.cells, tasks: actual.tasks, tests: actual.tests },
+      reported,
+      discrepancies
+    };
+  });
+}
+
 /**
  * Compute the full analyze view state for a feature.
  *
  * @param {string} projectPath
  * @param {string} featureId
+ * @param {{checklist?: Object, bugs?: Object, integrity?: Object}} [related] - Other views' state
+ *   for the criticalBugs, checklistCompletion and integrity health factors
  * @returns {Object}
  */
-function computeAnalyzeState(projectPath, featureId) {
-  const featureDir = path.join(projectPath, 'specs', featureId);
+function computeAnalyzeState(projectPath, featureId, related = {}) {
+  const featureDir = featureDirPath(projectPath, featureId);
   const analysisPath = path.join(featureDir, 'analysis.md');
   const specPath = path.join(featureDir, 'spec.md');
+  const tasksPath = path.join(featureDir, 'tasks.md');
+  const analysisContent = readText(analysisPath);
+  const specContent = readText(specPath) || '';
+  const tasksContent = readText(tasksPath) || '';
+
+  // Build heatmap from spec requirements + coverage data; without analysis.md there are no reported claims
+  const coverage = analysisContent === null ? [] : parseAnalysisCoverage(analysisContent);
+  const specSource = toSourcePath(projectPath, specPath);
+  const requirements = [
+    ...parseRequirements(specContent, specSource),
+    ...parseSuccessCriteria(specContent, specSource)
+  ];
+  // Heatmap cells are computed from the artifacts; analysis.md's claims are kept for comparison
+  const testSpecs = getFeatureFiles(featureDir).reduce((acc, file) =>
+    acc.concat(parseTestSpecs(readText(file), toSourcePath(projectPath, file))), []);
+  const tasks = parseTasks(tasksContent, toSourcePath(projectPath, tasksPath));
+  const heatmapRows = reconcileCoverage(
+    buildHeatmapRows(requirements, coverage),
+    computeCoverage(requirements, testSpecs, tasks),
+    new Set(coverage.map(c => c.id))
+  );
+  const discrepancies = { overstated: 0, understated: 0 };
+  for (const row of heatmapRows) {
+    for (const d of row.discrepancies) discrepancies[d.kind]++;
+  }
+  const heatmap = { columns: ['tasks', 'tests', 'plan'], rows: heatmapRows, discrepancies };
 
-  if (!fs.existsSync(analysisPath)) {
+  if (analysisContent === null) {
     return {
       healthScore: null,
-      heatmap: { columns: [], rows: [] },
+      heatmap,
       issues: [],
       metrics: null,
       constitutionAlignment: [],
@@ -162,37 +340,33 @@ function computeAnalyzeState(projectPath, featureId) {
     };
   }
 
-  const analysisContent = fs.readFileSync(analysisPath, 'utf-8');
-  const specContent = fs.existsSync(specPath) ? fs.readFileSync(specPath, 'utf-8') : '';
-
-  // Parse all sections
-  const findings = parseAnalysisFindings(analysisContent);
-  const coverage = parseAnalysisCoverage(analysisContent);
+  // Parse the remaining sections
+  const findings = parseAnalysisFindings(analysisContent, toSourcePath(projectPath, analysisPath));
   const metrics = parseAnalysisMetrics(analysisContent);
   const constitutionAlignment = parseConstitutionAlignment(analysisContent);
   const phaseSeparationViolations = parsePhaseSeparation(analysisContent);
-
-  // Build heatmap from spec requirements + coverage data
-  const requirements = [
-    ...parseRequirements(specContent),
-    ...parseSuccessCriteria(specContent)
-  ];
-  const heatmapRows = buildHeatmapRows(requirements, coverage);
+  const computedCovered = heatmapRows.filter(r => r.cells.tasks.status === 'covered').length;
+  const computedTested = heatmapRows.filter(r => r.cells.tests.status === 'covered').length;
+  // Coverage factors come from the artifacts, not analysis.md's metrics; no requirements means no value
+  const percentOfRows = count => (heatmapRows.length > 0 ? Math.round((count / heatmapRows.length) * 100) : null);
 
   // Compute health score factors
-  const reqCovPct = metrics.requirementCoveragePct || 0;
-  const testCovPct = metrics.testCoveragePct || 100;
+  const reqCovPct = percentOfRows(computedCovered);
+  const testCovPct = percentOfRows(computedTested);
   const constitutionCompliancePct = computeConstitutionCompliance(constitutionAlignment);
+  const healthConfig = loadConfig(projectPath).health;
   const phaseSepScore = computePhaseSeparationScore(
-    phaseSeparationViolations.filter(v => v.severity)
+    phaseSeparationViolations.filter(v => v.severity),
+    healthConfig.severityPenalties
   );
 
   const healthScore = computeHealthScore({
     requirementsCoverage: reqCovPct,
     constitutionCompliance: constitutionCompliancePct,
     phaseSeparation: phaseSepScore,
-    testCoverage: testCovPct
-  });
+    testCoverage: testCovPct,
+    ...computeRelatedFactors(related, healthConfig.severityPenalties)
+  }, healthConfig);
 
   // Map findings to issues (API terminology)
   const issues = findings.map(f => ({
@@ -202,7 +376,8 @@ function computeAnalyzeState(projectPath, featureId) {
     location: f.location,
     summary: f.summary,
     recommendation: f.recommendation,
-    resolved: f.resolved
+    resolved: f.resolved,
+    source: f.source
   }));
 
   return {
@@ -210,16 +385,16 @@ function computeAnalyzeState(projectPath, featureId) {
       ...healthScore,
       trend: null
     },
-    heatmap: {
-      columns: ['tasks', 'tests', 'plan'],
-      rows: heatmapRows
-    },
+    heatmap,
     issues,
     metrics: {
       totalRequirements: metrics.totalRequirements,
       totalTasks: metrics.totalTasks,
       totalTestSpecs: metrics.totalTestSpecs,
       requirementCoverage: metrics.requirementCoverage,
+      computedRequirementCoverage: heatmapRows.length > 0
+        ? `${computedCovered}/${heatmapRows.length} (${reqCovPct}%)`
+        : '',
       criticalIssues: metrics.criticalIssues,
       highIssues: metrics.highIssues,
       mediumIssues: metrics.mediumIssues,
@@ -235,9 +410,13 @@ function computeAnalyzeState(projectPath, featureId) {
 }
 
 module.exports = {
+  HEALTH_FACTOR_LABELS,
   computeHealthScore,
+  computeRelatedFactors,
   computeAnalyzeState,
   buildHeatmapRows,
+  computeCoverage,
+  reconcileCoverage,
   mapCellStatus,
   computePhaseSeparationScore,
   computeConstitutionCompliance
@@ -0,0 +1,132 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { GRAMMAR } = require('./parser');
+const { git } = require('./files');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse `git blame --line-porcelain` output into per-line commit times.
+ * Uncommitted lines (all-zero commit) get time null.
+ *
+ * @param {string} output
+ * @returns {Array<{line: string, time: number|null}>} time in epoch ms
+ */
+function parseBlamePorcelain(output) {
+  const lines = [];
+  let commit = null;
+  let time = null;
+  for (const raw of output.split('\n')) {
+    const header = raw.match(/^([0-9a-f]{40}) \d+ \d+/);
+    if (header) {
+      commit = header[1];
+      time = null;
+    } else if (raw.startsWith('committer-time ')) {
+      time = parseInt(raw.slice('committer-time '.length), 10) * 1000;
+    } else if (raw.startsWith('\t')) {
+      lines.push({ line: raw.slice(1), time: /^0+$/.test(commit) ? null : time });
+    }
+  }
+  return lines;
+}
+
+/**
+ * Find when each checked task in tasks.md was checked, from the commit that
+ * last changed its line (git blame). A later edit to a checked task's text
+ * moves its time forward, so the result is an upper bound. Checked lines not
+ * yet committed use the file's mtime.
+ *
+ * @param {string} tasksPath - Absolute path to tasks.md
+ * @returns {Object<string, string>} Map of taskId to ISO timestamp; empty outside git
+ */
+function readTaskCheckTimes(tasksPath) {
+  if (!fs.existsSync(tasksPath)) return {};
+
+  let output;
+  try {
+    output = git(path.dirname(tasksPath), ['blame', '--line-porcelain', '--', path.basename(tasksPath)], {
+      maxBuffer: 32 * 1024 * 1024
+    });
+  } catch {
+    return {};
+  }
+
+  const mtime = fs.statSync(tasksPath).mtimeMs;
+  const times = {};
+  for (const { line, time } of parseBlamePorcelain(output)) {
+    const match = line.match(GRAMMAR.task);
+    if (!match || match[1] !== 'x' || times[match[2]]) continue;
+    times[match[2]] = new Date(time !== null ? time : mtime).toISOString();
+  }
+  return times;
+}
+
+/**
+ * Attach cycle-time data to board cards and compute board metrics.
+ *
+ * For each card: tasks gain checkedAt; startedAt is the first task check
+ * (todo -> in_progress), doneAt the last check once every task is done
+ * (in_progress -> done), cycleTimeDays the difference. A card is stuck when
+ * it has been in_progress longer than stuckThresholdDays.
+ *
+ * @param {{todo: Array, in_progress: Array, done: Array}} board - From computeBoardState
+ * @param {Object<string, string>} checkTimes - From readTaskCheckTimes
+ * @param {{stuckThresholdDays: number}} config - metrics section of the dashboard config (config.js)
+ * @param {number} [now=Date.now()]
+ * @returns {{cycleTimeByPriority: Object<string, {count: number, averageDays: number}>, stuck: string[],
+ *   stuckThresholdDays: number, tracked: boolean}}
+ *   tracked is false when no check times are known (not a git repo, nothing committed).
+ *   The remaining-tasks series is board.burndown, from the history snapshots (history.js).
+ */
+function computeBoardMetrics(board, checkTimes, config, now = Date.now()) {
+  let tracked = false;
+  const cycleTimes = {};
+  const stuck = [];
+
+  for (const column of ['todo', 'in_progress', 'done']) {
+    for (const card of board[column] || []) {
+      card.tasks = card.tasks.map(t => ({ ...t, checkedAt: t.checked ? checkTimes[t.id] || null : null }));
+      if (card.tasks.some(t => t.checkedAt)) tracked = true;
+
+      const times = card.tasks.map(t => t.checkedAt).filter(Boolean).map(t => Date.parse(t)).sort((a, b) => a - b);
+      const startedAt = times.length > 0 ? times[0] : null;
+      const doneAt = column === 'done' && times.length > 0 ? times[times.length - 1] : null;
+
+      card.startedAt = startedAt !== null ? new Date(startedAt).toISOString() : null;
+      card.doneAt = doneAt !== null ? new Date(doneAt).toISOString() : null;
+      card.cycleTimeDays = doneAt !== null ? round((doneAt - startedAt) / DAY_MS) : null;
+      card.inProgressDays = column === 'in_progress' && startedAt !== null ? round((now - startedAt) / DAY_MS) : null;
+      card.stuck = card.inProgressDays !== null && card.inProgressDays > config.stuckThresholdDays;
+
+      if (card.stuck) stuck.push(card.id);
+      if (card.cycleTimeDays !== null && !card.isBugCard && card.id !== 'Unassigned') {
+        if (!cycleTimes[card.priority]) cycleTimes[card.priority] = [];
+        cycleTimes[card.priority].push(card.cycleTimeDays);
+      }
+    }
+  }
+
+  const cycleTimeByPriority = {};
+  for (const priority of Object.keys(cycleTimes).sort()) {
+    const values = cycleTimes[priority];
+    cycleTimeByPriority[priority] = {
+      count: values.length,
+      averageDays: round(values.reduce((sum, v) => sum + v, 0) / values.length)
+    };
+  }
+
+  return {
+    cycleTimeByPriority,
+    stuck,
+    stuckThresholdDays: config.stuckThresholdDays,
+    tracked
+  };
+}
+
+function round(days) {
+  return Math.round(days * 10) / 10;
+}
+
+module.exports = { parseBlamePorcelain, readTaskCheckTimes, computeBoardMetrics };
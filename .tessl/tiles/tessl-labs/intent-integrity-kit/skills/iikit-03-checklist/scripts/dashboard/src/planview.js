@@ -2,13 +2,16 @@
 
 const fs = require('fs');
 const path = require('path');
-const childProcess = require('child_process');
-const { promisify } = require('util');
-const { parseTechContext, parseFileStructure, parseAsciiDiagram, parseTesslJson, parseResearchDecisions } = require('./parser');
+const { parseTechContext, parseFileStructure, parseArchitectureDiagram, parseTesslJson, parseResearchDecisions } = require('./parser');
+const { loadConfig, featureDirPath, NODE_TYPES } = require('./config');
+const { readText, readJson, hashFile } = require('./files');
+const { classifyByRules, pinnedType } = require('./classifier');
+const { computeFileDrift } = require('./drift');
+const { fetchEvalData, readEvalError } = require('./evals');
 
-module.exports = { computePlanViewState, classifyNodeTypes, fetchTesslEvalData };
+module.exports = { computePlanViewState, classifyNodeTypes };
 
-// In-memory cache for LLM classification results per feature
+// In-memory cache for node classification results per feature
 const classificationCache = new Map();
 
 /**
@@ -18,12 +21,11 @@ const classificationCache = new Map();
  * @param {string} projectPath - Path to project root
  * @param {string} featureId - Feature directory name
  * @param {Object} [options] - Optional configuration
- * @param {Function} [options.fetchEvalData] - Custom eval data fetcher (for testing)
+ * @param {Function} [options.fetchEvalData] - Custom eval data fetcher, tileName -> Promise (for testing; replaces planview.evalSources)
  * @returns {Promise<Object>} Plan view state
  */
 async function computePlanViewState(projectPath, featureId, options = {}) {
-  const evalFetcher = options.fetchEvalData || fetchTesslEvalData;
-  const featureDir = path.join(projectPath, 'specs', featureId);
+  const featureDir = featureDirPath(projectPath, featureId);
   const planPath = path.join(featureDir, 'plan.md');
 
   if (!fs.existsSync(planPath)) {
@@ -31,13 +33,14 @@ async function computePlanViewState(projectPath, featureId, options = {}) {
       techContext: [],
       researchDecisions: [],
       fileStructure: null,
+      drift: null,
       diagram: null,
       tesslTiles: [],
       exists: false,
     };
   }
 
-  const planContent = fs.readFileSync(planPath, 'utf-8');
+  const planContent = readText(planPath);
 
   // Parse tech context
   const techContext = parseTechContext(planContent);
@@ -46,55 +49,54 @@ async function computePlanViewState(projectPath, featureId, options = {}) {
   const researchPath = path.join(featureDir, 'research.md');
   let researchDecisions = [];
   if (fs.existsSync(researchPath)) {
-    const researchContent = fs.readFileSync(researchPath, 'utf-8');
+    const researchContent = readText(researchPath);
     researchDecisions = parseResearchDecisions(researchContent);
   }
 
-  // Parse file structure and check existence
-  let fileStructure = parseFileStructure(planContent);
-  if (fileStructure) {
-    fileStructure.entries = fileStructure.entries.map(entry => {
-      const filePath = buildFilePath(fileStructure.entries, entry, fileStructure.rootName);
-      const fullPath = path.join(projectPath, filePath);
-      return { ...entry, exists: fs.existsSync(fullPath) };
-    });
-  }
+  // Parse file structure and compare it with the project tree
+  const fileStructure = parseFileStructure(planContent);
+  const drift = fileStructure ? computeFileDrift(projectPath, fileStructure) : null;
 
-  // Parse ASCII diagram
-  let diagram = parseAsciiDiagram(planContent);
+  // Parse the architecture diagram (ASCII, Mermaid or PlantUML)
+  const { architectureHeadings, llmClassifier, nodeTypes, evalSources } = loadConfig(projectPath).planview;
+  let diagram = parseArchitectureDiagram(planContent, { headings: architectureHeadings });
   if (diagram && diagram.nodes.length > 0) {
-    // Classify node types via LLM (with cache and fallback)
-    const cacheKey = `${featureId}:${planContent.length}`;
-    if (classificationCache.has(cacheKey)) {
-      const cached = classificationCache.get(cacheKey);
-      diagram.nodes = diagram.nodes.map(n => ({
-        ...n,
-        type: cached[n.label] || 'default'
-      }));
-    } else {
+    // Classify node types offline, plus the LLM when planview.llmClassifier is on (with cache and fallback)
+    const context = readJson(path.join(projectPath, '.specify', 'context.json'));
+    const classifications = context && context.planview ? context.planview.nodeClassifications : null;
+    const cacheKey = `${featureId}:${hashFile(planPath)}:${llmClassifier}:${JSON.stringify([architectureHeadings, nodeTypes, classifications])}`;
+    let types = classificationCache.get(cacheKey);
+    if (!types) {
       const labels = diagram.nodes.map(n => n.label);
-      const types = await classifyNodeTypes(labels);
+      const filePaths = fileStructure
+        ? fileStructure.entries.filter(e => e.type !== 'directory' && e.status !== 'unplanned').map(e => e.path)
+        : [];
+      types = await classifyNodeTypes(labels, { llm: llmClassifier, techContext, filePaths, overrides: nodeTypes, classifications });
       classificationCache.set(cacheKey, types);
-      diagram.nodes = diagram.nodes.map(n => ({
-        ...n,
-        type: types[n.label] || 'default'
-      }));
     }
+    diagram.nodes = diagram.nodes.map(n => ({
+      ...n,
+      type: types[n.label] ? types[n.label].type : 'default',
+      typeReason: types[n.label] ? types[n.label].reason : null
+    }));
   }
 
-  // Parse tessl.json and enrich with eval data
+  // Parse tessl.json and enrich with eval data from the configured sources
+  const evalFetcher = options.fetchEvalData || (tileName => fetchEvalData(projectPath, tileName, evalSources));
   const tesslTiles = parseTesslJson(projectPath);
   const evalResults = await Promise.all(
     tesslTiles.map(tile => evalFetcher(tile.name).catch(() => null))
   );
   tesslTiles.forEach((tile, i) => {
     tile.eval = evalResults[i];
+    tile.evalError = !options.fetchEvalData && evalSources.includes('cli') ? readEvalError(tile.name) : null;
   });
 
   return {
     techContext,
     researchDecisions,
     fileStructure,
+    drift,
     diagram,
     tesslTiles,
     exists: true,
@@ -102,54 +104,32 @@ async function computePlanViewState(projectPath, featureId, options = {}) {
 }
 
 /**
- * Build file path from tree entries by walking up the depth chain.
- */
-function buildFilePath(entries, targetEntry, rootName) {
-  const idx = entries.indexOf(targetEntry);
-  const parts = [targetEntry.name];
-  let currentDepth = targetEntry.depth;
-
-  // Walk backwards to find all parent directories
-  for (let i = idx - 1; i >= 0; i--) {
-    if (entries[i].depth < currentDepth && entries[i].type === 'directory') {
-      parts.unshift(entries[i].name);
-      currentDepth = entries[i].depth;
-      if (currentDepth === 0) break;
-    }
-  }
-
-  // If entry is at depth 0 and has no directory parent, prepend rootName
-  if (currentDepth === 0 && rootName && parts[0] !== rootName) {
-    // Check if the entry is NOT under a different depth-0 directory
-    // (i.e., it belongs to the rootName section)
-    let hasDepth0DirParent = false;
-    for (let i = idx - 1; i >= 0; i--) {
-      if (entries[i].depth === 0 && entries[i].type === 'directory') {
-        hasDepth0DirParent = true;
-        break;
-      }
-    }
-    if (!hasDepth0DirParent) {
-      parts.unshift(rootName);
-    }
-  }
-
-  return parts.join('/');
-}
-
-/**
- * Classify diagram node labels into component types using LLM.
- * Falls back to all "default" if API key is missing or call fails.
+ * Classify diagram node labels into component types. The offline rules in
+ * classifier.js always run; when options.llm is set and ANTHROPIC_API_KEY is
+ * present the Anthropic API re-classifies the labels, except those pinned by
+ * exact label in planview.nodeTypes or the plan's pre-computed classifications.
+ * A failed or disabled API call keeps the rule-based types.
  *
  * @param {string[]} labels - Node labels to classify
- * @returns {Promise<Object>} Mapping of label -> type
+ * @param {Object} [options]
+ * @param {boolean} [options.llm=false] - Call the Anthropic API (config planview.llmClassifier)
+ * @param {Array} [options.techContext] - From parseTechContext
+ * @param {string[]} [options.filePaths] - Planned file paths
+ * @param {Object<string, string>} [options.overrides] - Config planview.nodeTypes
+ * @param {Object<string, string>} [options.classifications] - context.json planview.nodeClassifications
+ * @returns {Promise<Object<string, {type: string, reason: string|null}>>} Mapping of label -> type and why
  */
-async function classifyNodeTypes(labels) {
-  const result = {};
-  for (const label of labels) result[label] = 'default';
+async function classifyNodeTypes(labels, options = {}) {
+  const context = {
+    techContext: options.techContext,
+    filePaths: options.filePaths,
+    overrides: options.overrides,
+    classifications: options.classifications
+  };
+  const result = classifyByRules(labels, context);
 
   const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey || labels.length === 0) return result;
+  if (!options.llm || !apiKey || labels.length === 0) return result;
 
   try {
     const Anthropic = require('@anthropic-ai/sdk');
@@ -178,122 +158,19 @@ No explanation, just the JSON.`
     const jsonMatch = text.match(/\{[\s\S]*\}/);
     if (jsonMatch) {
       const parsed = JSON.parse(jsonMatch[0]);
-      const validTypes = new Set(['client', 'server', 'storage', 'external']);
       for (const [label, type] of Object.entries(parsed)) {
-        if (validTypes.has(type)) {
-          result[label] = type;
+        if (label in result && NODE_TYPES.includes(type) && !pinnedType(label, context)) {
+          result[label] = { type, reason: 'Anthropic API' };
         }
       }
     }
   } catch {
-    // Fallback: all nodes get "default" type
+    // Fallback: keep the rule-based types
   }
 
   return result;
 }
 
-// In-memory cache for eval data per tile name
-const evalCache = new Map();
-
-/**
- * Fetch eval data for a Tessl tile using the tessl CLI.
- * Returns structured eval data or null if unavailable.
- *
- * @param {string} tileName - Tile name (e.g., "tessl/npm-express")
- * @returns {Promise<{score: number, multiplier: number, chartData: {pass: number, fail: number}}|null>}
- */
-async function fetchTesslEvalData(tileName) {
-  if (evalCache.has(tileName)) return evalCache.get(tileName);
-
-  try {
-    const execAsync = promisify(childProcess.exec);
-
-    // List eval runs for the tile
-    const { stdout: listOut } = await execAsync(
-      `tessl eval list --json --tile "${tileName}" --limit 1`,
-      { timeout: 10000 }
-    );
-    const listJson = JSON.parse(listOut.substring(listOut.indexOf('{')));
-
-    if (!listJson.data || listJson.data.length === 0) {
-      evalCache.set(tileName, null);
-      return null;
-    }
-
-    // Find the most recent completed eval run
-    const completedRun = listJson.data.find(r => r.attributes && r.attributes.status === 'completed');
-    if (!completedRun) {
-      evalCache.set(tileName, null);
-      return null;
-    }
-
-    // Fetch detailed eval results
-    const { stdout: viewOut } = await execAsync(
-      `tessl eval view --json ${completedRun.id}`,
-      { timeout: 15000 }
-    );
-    const viewJson = JSON.parse(viewOut.substring(viewOut.indexOf('{')));
-
-    const evalData = computeEvalSummary(viewJson.data);
-    evalCache.set(tileName, evalData);
-    return evalData;
-  } catch {
-    evalCache.set(tileName, null);
-    return null;
-  }
-}
-
-/**
- * Compute eval summary from a detailed eval run response.
- * Extracts score, multiplier, and pass/fail chart data from scenarios.
- */
-function computeEvalSummary(evalRun) {
-  if (!evalRun || !evalRun.attributes || !evalRun.attributes.scenarios) return null;
-
-  let usageTotal = 0, usageMax = 0, baselineTotal = 0;
-  let pass = 0, fail = 0;
-
-  for (const scenario of evalRun.attributes.scenarios) {
-    if (!scenario.solutions) continue;
-
-    const usageSpec = scenario.solutions.find(s => s.variant === 'usage-spec');
-    const baseline = scenario.solutions.find(s => s.variant === 'baseline');
-
-    if (usageSpec && usageSpec.assessmentResults) {
-      for (const r of usageSpec.assessmentResults) {
-        usageTotal += r.score;
-        usageMax += r.max_score;
-        if (r.score === r.max_score) pass++;
-        else fail++;
-      }
-    }
-
-    if (baseline && baseline.assessmentResults) {
-      for (const r of baseline.assessmentResults) {
-        baselineTotal += r.score;
-      }
-    }
-  }
-
-  if (usageMax === 0) return null;
-
-  const score = Math.round(usageTotal / usageMax * 100);
-  const multiplier = baselineTotal > 0
-    ? Math.round(usageTotal / baselineTotal * 100) / 100
-    : null;
-
-  return { score, multiplier, chartData: { pass, fail } };
-}
-
-/**
- * Invalidate eval cache (e.g., when tessl.json changes).
- */
-function invalidateEvalCache() {
-  evalCache.clear();
-}
-
-module.exports.invalidateEvalCache = invalidateEvalCache;
-
 /**
  * Invalidate classification cache for a feature.
  */
@@ -82,14 +82,37 @@ EOF
 # ASSERTION INTEGRITY FUNCTIONS
 # =============================================================================
 
+# Select hashed lines from one .feature file and normalize whitespace
+# Mode "current" (default): step lines, data table rows (including Scenario Outline
+#   Examples tables) and doc strings with their delimiters, in document order
+# Mode "legacy": step lines only (hashes stored before tables and doc strings were covered)
+# Must stay in sync with extractAssertionLines in dashboard/src/integrity.js
+extract_feature_assertions() {
+    local file="$1"
+    local mode="${2:-current}"
+
+    if [[ "$mode" == "legacy" ]]; then
+        { grep -E "^\s*(Given|When|Then|And|But) " "$file" 2>/dev/null || true; }
+    else
+        awk '
+            /^[[:space:]]*("""|```)/ { print; in_doc = !in_doc; next }
+            in_doc { print; next }
+            /^[[:space:]]*(Given|When|Then|And|But) / { print; next }
+            /^[[:space:]]*\|/ { print }
+        ' "$file" 2>/dev/null || true
+    fi | sed 's/^[[:space:]]*//' | sed 's/[[:space:]][[:space:]]*/ /g' | sed 's/[[:space:]]*$//'
+}
+
 # Extract assertion content for hashing
 # Accepts: directory path (tests/features/), single .feature file, or legacy test-specs.md
-# For .feature files: extracts Given/When/Then/And/But step lines in document order
+# Optional second arg: "legacy" to extract step lines only (see extract_feature_assertions)
+# For .feature files: extracts step lines, table rows and doc strings in document order
 #   - Files sorted by name for determinism, lines in document order within each file
 #   - Whitespace normalized: leading stripped, internal collapsed, trailing stripped
 # For test-specs.md (legacy): extracts **Given**:/**When**:/**Then**: lines, sorted
 extract_assertions() {
     local input_path="$1"
+    local mode="${2:-current}"
 
     if [[ -d "$input_path" ]]; then
         # Directory input: glob all .feature files, sorted by name
@@ -102,16 +125,15 @@ extract_assertions() {
             return 0
         fi
 
-        # Extract step lines in document order per file, normalize whitespace
+        # Extract hashed lines in document order per file
         local f
         for f in $files; do
-            { grep -E "^\s*(Given|When|Then|And|But) " "$f" 2>/dev/null || true; }
-        done | sed 's/^[[:space:]]*//' | sed 's/[[:space:]][[:space:]]*/ /g' | sed 's/[[:space:]]*$//'
+            extract_feature_assertions "$f" "$mode"
+        done
     elif [[ -f "$input_path" ]]; then
         if [[ "$input_path" == *.feature ]]; then
             # Single .feature file input
-            { grep -E "^\s*(Given|When|Then|And|But) " "$input_path" 2>/dev/null || true; } \
-                | sed 's/^[[:space:]]*//' | sed 's/[[:space:]][[:space:]]*/ /g' | sed 's/[[:space:]]*$//'
+            extract_feature_assertions "$input_path" "$mode"
         else
             # Legacy test-specs.md input: extract **Given**:/**When**:/**Then**: lines
             { grep -E "^\*\*(Given|When|Then)\*\*:" "$input_path" 2>/dev/null || true; } \
@@ -126,12 +148,14 @@ extract_assertions() {
 
 # Compute SHA256 hash of assertion content
 # Accepts: directory path (tests/features/), single .feature file, or legacy test-specs.md
+# Optional second arg: "legacy" for the step-only hash stored by earlier versions
 # Returns just the hash string (no filename), or NO_ASSERTIONS if no step lines found
 compute_assertion_hash() {
     local input_path="$1"
+    local mode="${2:-current}"
     local assertions
 
-    assertions=$(extract_assertions "$input_path")
+    assertions=$(extract_assertions "$input_path" "$mode")
 
     if [[ -z "$assertions" ]]; then
         echo "NO_ASSERTIONS"
@@ -142,6 +166,91 @@ compute_assertion_hash() {
     printf '%s' "$assertions" | shasum -a 256 | cut -d' ' -f1
 }
 
+# Emit "<TS-ID><TAB><normalized line>" for every hashed line inside an @TS-XXX scenario
+# Accepts: directory path (tests/features/) or single .feature file
+# Lines outside TS-tagged scenarios (Background, untagged scenarios) are skipped;
+# they are only covered by the aggregate hash
+# Must stay in sync with computeScenarioHashes in dashboard/src/integrity.js
+extract_scenario_assertions() {
+    local input_path="$1"
+    local files
+
+    if [[ -d "$input_path" ]]; then
+        # shellcheck disable=SC2012
+        files=$(ls -1 "$input_path"/*.feature 2>/dev/null | LC_ALL=C sort)
+    elif [[ -f "$input_path" ]] && [[ "$input_path" == *.feature ]]; then
+        files="$input_path"
+    fi
+    [[ -z "$files" ]] && return 0
+
+    local f
+    for f in $files; do
+        awk '
+            {
+                line = $0
+                hashed = 0
+                if (line ~ /^[[:space:]]*("""|```)/) { hashed = 1; in_doc = !in_doc }
+                else if (in_doc) { hashed = 1 }
+                else if (line ~ /^[[:space:]]*(Given|When|Then|And|But) / || line ~ /^[[:space:]]*\|/) { hashed = 1 }
+                if (hashed) {
+                    if (current != "") {
+                        gsub(/[[:space:]]+/, " ", line); sub(/^ /, "", line); sub(/ $/, "", line)
+                        print current "\t" line
+                    }
+                    next
+                }
+                t = line
+                sub(/^[[:space:]]+/, "", t)
+                if (t ~ /^@/) {
+                    n = split(t, tags, /[[:space:]]+/)
+                    for (i = 1; i <= n; i++) if (pending == "" && tags[i] ~ /^@TS-[0-9]+$/) pending = substr(tags[i], 2)
+                } else if (t ~ /^Scenario( Outline)?:/) {
+                    current = pending; pending = ""
+                } else if (t ~ /^(Feature|Background|Rule):/) {
+                    current = ""; pending = ""
+                }
+            }
+        ' "$f" 2>/dev/null || true
+    done
+}
+
+# Compute per-scenario hashes keyed by TS-ID
+# Returns a JSON object: {"TS-001": {"hash": "...", "lines": ["Given ...", ...]}, ...}
+# The stored lines let the dashboard show which steps changed when the aggregate hash breaks
+compute_scenario_hashes() {
+    local input_path="$1"
+    local pairs
+    pairs=$(extract_scenario_assertions "$input_path")
+
+    local json='{}'
+    local id lines hash
+    for id in $(printf '%s\n' "$pairs" | cut -f1 | awk 'NF && !seen[$0]++'); do
+        lines=$(printf '%s\n' "$pairs" | awk -F'\t' -v id="$id" '$1 == id { sub(/^[^\t]*\t/, ""); print }')
+        hash=$(printf '%s' "$lines" | shasum -a 256 | cut -d' ' -f1)
+        json=$(jq -c --arg id "$id" --arg hash "$hash" --arg lines "$lines" \
+            '.[$id] = {hash: $hash, lines: ($lines | split("\n"))}' <<< "$json")
+    done
+    echo "$json"
+}
+
+# Check a stored hash against the current assertion content
+# A match on the step-only hash stored before tables and doc strings were covered
+# is reported as "legacy": Examples values and doc strings are then unprotected
+# until store-hash runs again (the two hashes only differ when they are present)
+# Returns: "valid", "legacy" or "invalid"
+assertion_hash_status() {
+    local stored_hash="$1"
+    local input_path="$2"
+
+    if [[ "$stored_hash" == "$(compute_assertion_hash "$input_path")" ]]; then
+        echo "valid"
+    elif [[ "$stored_hash" == "$(compute_assertion_hash "$input_path" legacy)" ]]; then
+        echo "legacy"
+    else
+        echo "invalid"
+    fi
+}
+
 # Derive context.json path from input path
 # Supports:
 #   Directory: tests/features/ → tests/ → feature_dir/ → context.json (2 levels up)
@@ -206,16 +315,20 @@ store_assertion_hash() {
         # shellcheck disable=SC2012
         local file_count
         file_count=$(ls -1 "$input_path"/*.feature 2>/dev/null | wc -l | tr -d ' ')
+        local scenarios
+        scenarios=$(compute_scenario_hashes "$input_path")
 
         jq --arg hash "$hash" \
            --arg ts "$timestamp" \
            --arg dir "$input_path" \
            --argjson count "$file_count" \
+           --argjson scenarios "$scenarios" \
            '.testify = {
                "assertion_hash": $hash,
                "generated_at": $ts,
                "features_dir": $dir,
-               "file_count": $count
+               "file_count": $count,
+               "scenarios": $scenarios
            }' "$context_file" > "$tmp_file"
     else
         # Legacy file input: store test_specs_file
@@ -235,7 +348,7 @@ store_assertion_hash() {
 }
 
 # Verify assertion hash matches stored value
-# Returns: "valid", "invalid", or "missing"
+# Returns: "valid", "legacy", "invalid", or "missing"
 # context.json path is derived from input location
 # When a single .feature file is passed but hash was stored from a directory,
 # automatically resolves to the parent directory for correct hash comparison
@@ -272,15 +385,7 @@ verify_assertion_hash() {
         fi
     fi
 
-    # Compute current hash
-    local current_hash
-    current_hash=$(compute_assertion_hash "$hash_input")
-
-    if [[ "$stored_hash" == "$current_hash" ]]; then
-        echo "valid"
-    else
-        echo "invalid"
-    fi
+    assertion_hash_status "$stored_hash" "$hash_input"
 }
 
 # =============================================================================
@@ -326,7 +431,7 @@ EOF
 }
 
 # Verify assertion hash against git note
-# Returns: "valid", "invalid", "missing", or "error:*"
+# Returns: "valid", "legacy", "invalid", "missing", or "error:*"
 verify_git_note() {
     local test_specs_file="$1"
 
@@ -352,15 +457,7 @@ verify_git_note() {
         return
     fi
 
-    # Compute current hash
-    local current_hash
-    current_hash=$(compute_assertion_hash "$test_specs_file")
-
-    if [[ "$stored_hash" == "$current_hash" ]]; then
-        echo "valid"
-    else
-        echo "invalid"
-    fi
+    assertion_hash_status "$stored_hash" "$test_specs_file"
 }
 
 # =============================================================================
@@ -464,11 +561,14 @@ comprehensive_integrity_check() {
     fi
 
     # Determine overall status and blocking conditions
-    # Priority: invalid > modified > missing (when TDD mandatory) > valid/clean
+    # Priority: invalid > legacy > modified > missing (when TDD mandatory) > valid/clean
 
     if [[ "$hash_result" == "invalid" ]] || [[ "$git_note_result" == "invalid" ]]; then
         overall_status="BLOCKED"
         block_reason="Assertions were modified since testify ran"
+    elif [[ "$hash_result" == "legacy" ]] || [[ "$git_note_result" == "legacy" ]]; then
+        overall_status="BLOCKED"
+        block_reason="Stored hash predates Examples table and doc string hashing; re-run /iikit-04-testify (store-hash)"
     elif [[ "$git_diff_result" == "modified" ]]; then
         overall_status="BLOCKED"
         block_reason="Uncommitted changes to assertions detected"
@@ -604,6 +704,20 @@ if [[ $# -gt 0 ]]; then
             fi
             compute_assertion_hash "$2"
             ;;
+        compute-scenario-hashes)
+            if [[ $# -lt 2 ]]; then
+                echo "Usage: $0 compute-scenario-hashes <features-dir-or-file>"
+                exit 1
+            fi
+            compute_scenario_hashes "$2"
+            ;;
+        compute-legacy-hash)
+            if [[ $# -lt 2 ]]; then
+                echo "Usage: $0 compute-legacy-hash <features-dir-or-file>"
+                exit 1
+            fi
+            compute_assertion_hash "$2" legacy
+            ;;
         store-hash|rehash)
             if [[ $# -lt 2 ]]; then
                 echo "Usage: $0 store-hash <features-dir-or-file>"
@@ -656,8 +770,10 @@ if [[ $# -gt 0 ]]; then
             echo "    count-scenarios <spec-file>           - Count acceptance scenarios"
             echo "    has-scenarios <spec-file>             - Check if scenarios exist"
             echo "  Hash-based Integrity (context.json auto-derived from input path):"
-            echo "    extract-assertions <dir-or-file>      - Extract step lines (.feature dir/file or legacy .md)"
+            echo "    extract-assertions <dir-or-file>      - Extract hashed lines (.feature dir/file or legacy .md)"
             echo "    compute-hash <dir-or-file>            - Compute SHA256 hash"
+            echo "    compute-legacy-hash <dir-or-file>     - Compute step-only hash (pre-Examples scheme)"
+            echo "    compute-scenario-hashes <dir-or-file> - Per-scenario hashes keyed by TS-ID (JSON)"
             echo "    store-hash|rehash <dir-or-file>       - Atomic compute + store hash in feature's context.json"
             echo "    verify-hash <dir-or-file>             - Verify against feature's context.json"
             echo "  Git-based Integrity (tamper-resistant):"
@@ -0,0 +1,207 @@
+'use strict';
+
+const { NODE_TYPES } = require('./config');
+
+// Built-in dictionary: whole words (or word sequences) of a node label that mark its type
+const TYPE_KEYWORDS = {
+  client: [
+    'client', 'browser', 'frontend', 'front end', 'ui', 'gui', 'user interface', 'web app', 'webapp', 'spa',
+    'cli', 'terminal', 'console', 'shell', 'tui', 'desktop', 'mobile', 'ios', 'android', 'app',
+    'user', 'dashboard', 'page', 'view', 'screen', 'form', 'widget', 'menu', 'hotkey', 'extension',
+    'react', 'vue', 'svelte', 'angular', 'electron'
+  ],
+  server: [
+    'server', 'backend', 'back end', 'api', 'service', 'microservice', 'daemon', 'worker', 'handler',
+    'controller', 'router', 'route', 'endpoint', 'middleware', 'engine', 'processor', 'scheduler',
+    'job', 'pipeline', 'watcher', 'indexer', 'script', 'lambda', 'function', 'rest', 'graphql', 'grpc',
+    'express', 'fastify', 'koa', 'flask', 'django', 'fastapi', 'rails', 'spring', 'node'
+  ],
+  storage: [
+    'storage', 'store', 'datastore', 'database', 'db', 'sql', 'sqlite', 'postgres', 'postgresql',
+    'mysql', 'mariadb', 'mongo', 'mongodb', 'redis', 'memcached', 'dynamodb', 'cassandra',
+    'elasticsearch', 'cache', 'repository', 'persistence', 'table', 'schema', 'index', 'vector store',
+    'bucket', 's3', 'blob', 'disk', 'filesystem', 'file system', 'files', 'folder', 'directory',
+    'markdown', 'json', 'yaml', 'csv', 'log', 'queue'
+  ],
+  external: [
+    'external', 'third party', 'thirdparty', 'vendor', 'provider', 'saas', 'cloud', 'webhook',
+    'oauth', 'sso', 'auth0', 'stripe', 'paypal', 'github', 'gitlab', 'slack', 'twilio', 'sendgrid',
+    'smtp', 'email', 'sms', 'cdn', 'openai', 'anthropic', 'claude', 'llm', 'google', 'drive',
+    'dropbox', 'aws', 'azure', 'gcp'
+  ]
+};
+
+// Technical Context labels whose values name technologies of one type
+const TECH_CONTEXT_TYPES = [
+  { pattern: /storage|database|persist/i, type: 'storage' },
+  { pattern: /platform|frontend|client|user interface|\bui\b/i, type: 'client' },
+  { pattern: /backend|server|runtime/i, type: 'server' },
+  { pattern: /external|integration|third.party|provider/i, type: 'external' }
+];
+
+// Directory names in the planned file structure that type the files below them
+const DIRECTORY_TYPES = {
+  models: 'storage', migrations: 'storage', repositories: 'storage', db: 'storage', data: 'storage',
+  routes: 'server', handlers: 'server', controllers: 'server', services: 'server', api: 'server',
+  server: 'server', workers: 'server', jobs: 'server',
+  components: 'client', pages: 'client', views: 'client', ui: 'client', public: 'client',
+  static: 'client', cli: 'client', client: 'client', frontend: 'client',
+  integrations: 'external', adapters: 'external', vendors: 'external', clients: 'external'
+};
+
+// A user keyword beats a project hint, which beats the built-in dictionary
+const WEIGHTS = { override: 100, techContext: 3, fileStructure: 2, keyword: 1 };
+
+// Words too generic to carry a Technical Context value's type
+const STOPWORDS = new Set([
+  'and', 'the', 'for', 'with', 'from', 'into', 'per', 'via', 'not', 'all', 'any', 'only', 'local',
+  'based', 'using', 'none', 'n/a', 'tbd', 'later', 'existing', 'new', 'version', 'single', 'project'
+]);
+
+/**
+ * Split text into lowercase words, breaking camelCase and punctuation.
+ */
+function words(text) {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9+#]+/)
+    .filter(Boolean);
+}
+
+function sameWord(a, b) {
+  return a === b || (a.length > 3 && a.endsWith('s') && a.slice(0, -1) === b) ||
+    (b.length > 3 && b.endsWith('s') && b.slice(0, -1) === a);
+}
+
+/**
+ * End index (exclusive) of the last occurrence of `needle` as a word sequence
+ * in `haystack`, or -1.
+ */
+function findWords(haystack, needle) {
+  for (let i = haystack.length - needle.length; i >= 0; i--) {
+    if (needle.every((w, j) => sameWord(haystack[i + j], w))) return i + needle.length;
+  }
+  return -1;
+}
+
+/**
+ * Collect the weighted keyword rules for one plan: the built-in dictionary,
+ * technologies named in Technical Context, files in the planned structure and
+ * the user's keywords.
+ */
+function buildRules({ techContext = [], filePaths = [], overrides = {} }) {
+  const rules = [];
+  const add = (text, type, weight, reason) => {
+    const needle = words(text);
+    if (needle.length > 0) rules.push({ needle, type, weight, reason });
+  };
+
+  for (const [type, keywords] of Object.entries(TYPE_KEYWORDS)) {
+    for (const keyword of keywords) add(keyword, type, WEIGHTS.keyword, `keyword "${keyword}"`);
+  }
+
+  for (const { label, value } of techContext) {
+    const match = TECH_CONTEXT_TYPES.find(t => t.pattern.test(label));
+    if (!match) continue;
+    for (const word of new Set(words(value))) {
+      if (word.length < 3 || STOPWORDS.has(word) || /^\d/.test(word)) continue;
+      add(word, match.type, WEIGHTS.techContext, `"${word}" in Technical Context (${label})`);
+    }
+  }
+
+  for (const filePath of filePaths) {
+    const segments = filePath.split('/').filter(Boolean);
+    const dirs = segments.slice(0, -1);
+    const dir = [...dirs].reverse().find(d => DIRECTORY_TYPES[d.toLowerCase()]);
+    if (!dir) continue;
+    const type = DIRECTORY_TYPES[dir.toLowerCase()];
+    const file = segments[segments.length - 1];
+    const stem = file.replace(/\.[^.]+$/, '');
+    if (stem.length >= 3) add(stem, type, WEIGHTS.fileStructure, `the file structure (${dir}/${file})`);
+  }
+
+  for (const [keyword, type] of Object.entries(overrides)) {
+    add(keyword, type, WEIGHTS.override, `planview.nodeTypes "${keyword}"`);
+  }
+
+  return rules;
+}
+
+/**
+ * Type fixed for a label by exact (case-insensitive) match: the user's
+ * planview.nodeTypes first, then the plan phase's pre-computed classifications.
+ *
+ * @returns {{type: string, reason: string}|null}
+ */
+function pinnedType(label, context = {}) {
+  const key = String(label).trim().toLowerCase();
+  const sources = [
+    [context.overrides, k => `planview.nodeTypes "${k}"`],
+    [context.classifications, () => '/iikit-02-plan (context.json)']
+  ];
+  for (const [mapping, reason] of sources) {
+    if (!mapping || typeof mapping !== 'object') continue;
+    const match = Object.keys(mapping).find(k => k.trim().toLowerCase() === key);
+    if (match && NODE_TYPES.includes(mapping[match])) return { type: mapping[match], reason: reason(match) };
+  }
+  return null;
+}
+
+/**
+ * Classify diagram node labels as client, server, storage or external without
+ * any network access. A label the user mapped exactly in planview.nodeTypes
+ * takes that type, then one classified by /iikit-02-plan (context.json
+ * planview.nodeClassifications); otherwise every keyword rule found in the label adds its
+ * weight to its type and the heaviest type wins. On a tie the rule matching
+ * later in the label wins, since the last word usually names the component
+ * ("API Client" is a client, "Client API" a server).
+ *
+ * @param {string[]} labels - Node labels
+ * @param {Object} [context]
+ * @param {Array<{label: string, value: string}>} [context.techContext] - From parseTechContext
+ * @param {string[]} [context.filePaths] - Planned file paths from the File Structure tree
+ * @param {Object<string, string>} [context.overrides] - planview.nodeTypes: label or keyword -> type
+ * @param {Object<string, string>} [context.classifications] - .specify/context.json planview.nodeClassifications: label -> type
+ * @returns {Object<string, {type: string, reason: string|null}>} Label -> type ("default" when
+ *   nothing matched) and the rule that decided it
+ */
+function classifyByRules(labels, context = {}) {
+  const rules = buildRules(context);
+  const result = {};
+
+  for (const label of labels) {
+    const pinned = pinnedType(label, context);
+    if (pinned) {
+      result[label] = pinned;
+      continue;
+    }
+
+    const labelWords = words(label);
+    const scores = new Map();
+    for (const rule of rules) {
+      const end = findWords(labelWords, rule.needle);
+      if (end < 0) continue;
+      const score = scores.get(rule.type) || { total: 0, end: -1, best: null };
+      score.total += rule.weight;
+      score.end = Math.max(score.end, end);
+      if (!score.best || rule.weight > score.best.weight) score.best = rule;
+      scores.set(rule.type, score);
+    }
+
+    let winner = null;
+    for (const [type, score] of scores) {
+      if (!winner || score.total > winner.score.total ||
+          (score.total === winner.score.total && score.end > winner.score.end)) {
+        winner = { type, score };
+      }
+    }
+    result[label] = winner
+      ? { type: winner.type, reason: winner.score.best.reason }
+      : { type: 'default', reason: null };
+  }
+
+  return result;
+}
+
+module.exports = { TYPE_KEYWORDS, classifyByRules, pinnedType };
@@ -0,0 +1,122 @@
+'use strict';
+
+// Skill that produces (or re-produces) each pipeline phase's artifact
+const PHASE_SKILLS = {
+  constitution: '/iikit-00-constitution',
+  spec: '/iikit-01-specify',
+  plan: '/iikit-02-plan',
+  checklist: '/iikit-03-checklist',
+  testify: '/iikit-04-testify',
+  tasks: '/iikit-05-tasks',
+  analyze: '/iikit-06-analyze',
+  implement: '/iikit-07-implement'
+};
+
+// Phases on the mandatory path (next-step.sh: 00 → 01 → 02 → [04 if TDD] → 05 → 07)
+const MANDATORY_PHASES = ['constitution', 'spec', 'plan', 'testify', 'tasks'];
+
+const MISSING_REASONS = {
+  constitution: 'No CONSTITUTION.md yet; define project governance first',
+  spec: 'No spec.md for this feature',
+  plan: 'Spec is ready; no plan.md yet',
+  testify: 'TDD is mandatory and there are no .feature files yet',
+  tasks: 'No tasks.md yet'
+};
+
+function listIds(ids, max = 3) {
+  return ids.length > max ? `${ids.slice(0, max).join(', ')} and ${ids.length - max} more` : ids.join(', ');
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Rank the next actions for a feature from its assembled view data.
+ *
+ * Fixes come first: tampered assertions, open critical bugs, stale phases,
+ * an analysis.md that overstates coverage.
+ * Then the next step on the mandatory path, a blocked checklist gate,
+ * untested requirements and remaining implementation work, and finally
+ * optional steps (checklist, analyze, testify when TDD is optional).
+ *
+ * @param {Object} featureData - One entry of DASHBOARD_DATA.featureData (pipeline, checklist, board, testify, taskGraph, analyze, bugs)
+ * @returns {Array<{skill: string, reason: string, phase: string, kind: string}>} Most urgent first.
+ *   kind is "fix", "next" or "optional"; phase is the dashboard tab the action concerns.
+ */
+function recommendNextActions(featureData) {
+  const { pipeline, checklist, board, testify, taskGraph, analyze, bugs } = featureData;
+  const phase = Object.fromEntries(pipeline.phases.map(p => [p.id, p]));
+  const actions = [];
+  const add = (kind, phaseId, reason, skill = PHASE_SKILLS[phaseId]) => actions.push({ skill, reason, phase: phaseId, kind });
+
+  const integrity = board && board.integrity;
+  if (integrity && integrity.status === 'tampered') {
+    const changed = integrity.diff
+      ? [...integrity.diff.modified, ...integrity.diff.added, ...integrity.diff.removed].map(d => d.id)
+      : [];
+    add('fix', 'testify', 'Test assertions changed after testify locked them' +
+      (changed.length > 0 ? ` (${listIds(changed)})` : '') + '; review and re-run testify');
+  } else if (integrity && integrity.status === 'context-tampered') {
+    add('fix', 'testify', 'context.json assertion hash disagrees with the git note; re-run testify to restore it');
+  } else if (integrity && integrity.status === 'legacy') {
+    add('fix', 'testify', 'Assertion hash uses the legacy step-only scheme; re-run testify to cover Examples tables and doc strings');
+  }
+
+  const criticalBugs = bugs && bugs.exists ? bugs.bugs.filter(b => b.status !== 'fixed' && b.severity === 'critical') : [];
+  if (criticalBugs.length > 0) {
+    add('fix', 'bugs', `${plural(criticalBugs.length, 'open critical bug')}: ${listIds(criticalBugs.map(b => b.id))}`, '/iikit-bugfix');
+  }
+
+  for (const p of pipeline.phases) {
+    if (p.status !== 'stale' || !p.invalidatedBy) continue;
+    const upstream = p.invalidatedBy
+      .map(u => u.commit ? `${u.file} (${u.commit.slice(0, 7)})` : `${u.file} (uncommitted)`);
+    add('fix', p.id, `Stale: ${listIds(upstream)} changed after it was produced`);
+  }
+
+  const overstated = analyze && analyze.exists
+    ? analyze.heatmap.rows.filter(r => r.discrepancies.some(d => d.kind === 'overstated')).map(r => r.id)
+    : [];
+  if (overstated.length > 0 && phase.analyze && phase.analyze.status !== 'stale') {
+    add('fix', 'analyze', `analysis.md claims coverage the artifacts do not show: ${listIds(overstated)}`);
+  }
+
+  const missing = MANDATORY_PHASES.find(id => phase[id] && phase[id].status === 'not_started' && !phase[id].optional);
+  if (missing) {
+    add('next', missing, MISSING_REASONS[missing]);
+  } else {
+    if (checklist && checklist.files.length > 0 && checklist.gate.status === 'blocked') {
+      const incomplete = checklist.files.filter(f => f.percentage < 100).map(f => `${f.filename} ${f.percentage}%`);
+      add('next', 'checklist', `${checklist.gate.label}: ${listIds(incomplete)}`);
+    }
+
+    const untested = testify && testify.exists ? testify.gaps.untestedRequirements : [];
+    if (untested.length > 0) {
+      add('next', 'testify', `${plural(untested.length, 'requirement')} without test coverage: ${listIds(untested)}`);
+    }
+
+    const implement = phase.implement;
+    if (implement && implement.status !== 'complete' && phase.tasks && phase.tasks.status !== 'not_started') {
+      const remaining = taskGraph ? taskGraph.nodes.filter(n => !n.checked).length : null;
+      const next = taskGraph && taskGraph.next ? `; next up ${taskGraph.next}` : '';
+      add('next', 'implement', remaining !== null ? `${plural(remaining, 'task')} remaining${next}` : 'Tasks are ready to implement');
+    }
+  }
+
+  if (phase.plan && phase.plan.status !== 'not_started') {
+    if (phase.checklist && phase.checklist.status === 'not_started') {
+      add('optional', 'checklist', 'Optional quality checklist before implementing');
+    }
+    if (phase.testify && phase.testify.status === 'skipped') {
+      add('optional', 'testify', 'Optional test specifications (TDD is not mandatory)');
+    }
+  }
+  if (phase.tasks && phase.tasks.status !== 'not_started' && phase.analyze && phase.analyze.status === 'not_started') {
+    add('optional', 'analyze', 'Optional consistency analysis across spec, plan and tasks');
+  }
+
+  return actions;
+}
+
+module.exports = { PHASE_SKILLS, recommendNextActions };
@@ -0,0 +1,160 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { featureDirPath, featureSourceDir } = require('./config');
+const { hashFile, git } = require('./files');
+
+// Phase -> the phases whose artifacts it is derived from
+const UPSTREAM = {
+  spec: ['constitution'],
+  plan: ['spec'],
+  tasks: ['spec', 'plan'],
+  analyze: ['spec', 'plan', 'tasks']
+};
+
+/**
+ * Artifact of each pipeline phase, relative to the project root.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {string} featureId - Feature directory name
+ * @returns {Object<string, string>}
+ */
+function phaseArtifacts(projectPath, featureId) {
+  const featureDir = featureSourceDir(projectPath, featureId);
+  return {
+    constitution: 'CONSTITUTION.md',
+    spec: `${featureDir}/spec.md`,
+    plan: `${featureDir}/plan.md`,
+    tasks: `${featureDir}/tasks.md`,
+    analyze: `${featureDir}/analysis.md`
+  };
+}
+
+/**
+ * Locate the git repository and the artifacts with uncommitted changes.
+ *
+ * @returns {{root: string, dirty: Set<string>}|null} dirty holds repo-relative paths; null outside git
+ */
+function openRepo(projectPath, relPaths) {
+  try {
+    const root = fs.realpathSync(git(projectPath, ['rev-parse', '--show-toplevel']).trim());
+    const dirty = new Set();
+    const entries = git(projectPath, ['status', '--porcelain', '-z', '--untracked-files=all', '--', ...relPaths]).split('\0');
+    for (let i = 0; i < entries.length; i++) {
+      if (!entries[i]) continue;
+      dirty.add(entries[i].slice(3));
+      // Renames and copies are followed by their original path
+      if (/^[RC]/.test(entries[i])) i++;
+    }
+    return { root, dirty };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * When an artifact last changed: the time of the last commit touching it, or
+ * its mtime when it has uncommitted changes, is untracked or git is unavailable.
+ *
+ * @returns {{time: number, commit: string|null, subject: string|null}} time in epoch ms
+ */
+function readRevision(projectPath, relPath, repo) {
+  const absPath = path.join(projectPath, relPath);
+  const fromMtime = { time: fs.statSync(absPath).mtimeMs, commit: null, subject: null };
+  if (!repo) return fromMtime;
+
+  try {
+    const repoRel = path.relative(repo.root, fs.realpathSync(absPath)).split(path.sep).join('/');
+    if (repo.dirty.has(repoRel)) return fromMtime;
+    const out = git(repo.root, ['log', '-1', '--format=%H%x1f%ct%x1f%s', '--', repoRel]).trim();
+    if (!out) return fromMtime;
+    const [commit, committedAt, subject] = out.split('\x1f');
+    return { time: parseInt(committedAt, 10) * 1000, commit, subject };
+  } catch {
+    return fromMtime;
+  }
+}
+
+/**
+ * Read the upstream fingerprints recorded in a feature's context.json.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {string} featureId - Feature directory name
+ * @returns {Object<string, {artifact_hash: string, inputs: Object<string, string>, recorded_at: string}>}
+ */
+function readFingerprints(projectPath, featureId) {
+  const contextPath = path.join(featureDirPath(projectPath, featureId), 'context.json');
+  if (!fs.existsSync(contextPath)) return {};
+  try {
+    const context = JSON.parse(fs.readFileSync(contextPath, 'utf-8'));
+    return (context && context.fingerprints) || {};
+  } catch {
+    // malformed context.json
+    return {};
+  }
+}
+
+/**
+ * Detect phases whose artifact is older than the upstream artifacts it was
+ * derived from (e.g. spec.md edited after plan.md was produced).
+ *
+ * A fingerprint recorded by the phase skill when it wrote the artifact
+ * (record-fingerprint.sh: SHA256 of the artifact and of each upstream input)
+ * takes precedence while the artifact itself is unchanged: the phase is stale
+ * exactly when an input's content differs, so touching or checking out a file
+ * without editing it does not count. Without a matching fingerprint the phase
+ * is stale when an input changed after the artifact (commit times, or mtimes
+ * for uncommitted files). Nothing is written back.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {string} featureId - Feature directory name
+ * @param {Object} [recorded] - Fingerprints from context.json (read from disk when omitted)
+ * @returns {{phases: Object<string, {stale: boolean, upstream: Array<{phase: string, file: string, changedAt: string,
+ *   commit: string|null, subject: string|null}>}>}}
+ *   phases covers spec, plan, tasks and analyze when their artifact exists; upstream lists the
+ *   inputs that invalidated the phase.
+ */
+function computeStaleness(projectPath, featureId, recorded = readFingerprints(projectPath, featureId)) {
+  const artifacts = phaseArtifacts(projectPath, featureId);
+  const exists = id => fs.existsSync(path.join(projectPath, artifacts[id]));
+  const repo = openRepo(projectPath, Object.values(artifacts));
+
+  const revisions = {};
+  const hashes = {};
+  const revisionOf = id => revisions[id] || (revisions[id] = readRevision(projectPath, artifacts[id], repo));
+  const hashOf = id => hashes[id] || (hashes[id] = hashFile(path.join(projectPath, artifacts[id])));
+
+  const phases = {};
+  for (const [phase, upstream] of Object.entries(UPSTREAM)) {
+    if (!exists(phase)) continue;
+    const inputs = upstream.filter(exists);
+    const record = recorded[phase];
+
+    let changed;
+    if (record && record.artifact_hash === hashOf(phase) && record.inputs) {
+      changed = inputs.filter(id => record.inputs[artifacts[id]] !== hashOf(id));
+    } else {
+      // No fingerprint, or the artifact was edited since it was recorded
+      changed = inputs.filter(id => revisionOf(id).time > revisionOf(phase).time);
+    }
+
+    phases[phase] = {
+      stale: changed.length > 0,
+      upstream: changed.map(id => {
+        const revision = revisionOf(id);
+        return {
+          phase: id,
+          file: artifacts[id],
+          changedAt: new Date(revision.time).toISOString(),
+          commit: revision.commit,
+          subject: revision.subject
+        };
+      })
+    };
+  }
+
+  return { phases };
+}
+
+module.exports = { UPSTREAM, phaseArtifacts, readFingerprints, computeStaleness };
@@ -0,0 +1,196 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_FILE, DEFAULT_CONFIG, loadConfig } = require('./config');
+
+// Project-level files that affect every feature's dashboard data, relative to the project root
+const PROJECT_FILES = ['CONSTITUTION.md', 'PREMISE.md', 'tessl.json', CONFIG_FILE, '.specify/context.json'];
+
+// Feature subdirectories whose contents feed the dashboard
+const FEATURE_SUBDIRS = ['checklists', 'contracts', 'tests', path.join('tests', 'features'), path.join('tests', 'results')];
+
+const DEFAULT_DEBOUNCE_MS = 300;
+
+/**
+ * Map a changed file to the scope it invalidates.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {string} filePath - Absolute path of the changed file
+ * @param {string} [featuresDir="specs"] - Features directory relative to the project root (config featuresDir)
+ * @returns {{scope: string, featureId: string|null, file: string}|null}
+ *   scope is "project" for PROJECT_FILES (file is the path relative to the project
+ *   root, e.g. ".specify/dashboard.config.json"), "feature" for anything under
+ *   <featuresDir>/<feature>/, or null when the change is irrelevant.
+ */
+function classifyChange(projectPath, filePath, featuresDir = DEFAULT_CONFIG.featuresDir) {
+  const rel = path.relative(projectPath, filePath);
+  if (!rel || rel.startsWith('..')) return null;
+
+  const parts = rel.split(path.sep);
+  if (PROJECT_FILES.includes(parts.join('/'))) {
+    return { scope: 'project', featureId: null, file: parts.join('/') };
+  }
+
+  const prefix = featuresDir.split('/');
+  if (!prefix.every((segment, i) => parts[i] === segment)) return null;
+  const inFeatures = parts.slice(prefix.length);
+  if (inFeatures.length >= 2) {
+    // Ignore editor swap files and atomic-write temp files
+    const base = inFeatures[inFeatures.length - 1];
+    if (base.startsWith('.') || base.endsWith('~') || base.endsWith('.tmp')) return null;
+    return { scope: 'feature', featureId: inFeatures[0], file: inFeatures.slice(1).join('/') };
+  }
+  if (inFeatures.length === 1) {
+    // A feature directory was added or removed
+    return { scope: 'feature', featureId: inFeatures[0], file: '' };
+  }
+  return null;
+}
+
+/**
+ * Watch project artifacts and report debounced batches of changes.
+ *
+ * Uses one non-recursive fs.watch per directory (recursive watching is not
+ * available on Linux for older Node versions). New feature directories under
+ * the configured featuresDir (default specs/) are picked up as they appear;
+ * when an edit to the dashboard config moves featuresDir, the feature
+ * watchers are rebuilt for the new directory.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {Function} onChange - Called with {projectFiles: string[], features: Object<string, string[]>}
+ * @param {Object} [options]
+ * @param {number} [options.debounceMs=300] - Quiet period before a batch is flushed
+ * @returns {{close: Function}}
+ */
+function watchProject(projectPath, onChange, options = {}) {
+  const debounceMs = options.debounceMs !== undefined ? options.debounceMs : DEFAULT_DEBOUNCE_MS;
+  const specifyDir = path.join(projectPath, '.specify');
+  let featuresDir = loadConfig(projectPath).featuresDir;
+  let specsDir = path.join(projectPath, featuresDir);
+  let specsParent = path.dirname(specsDir);
+  const watchers = new Map();
+  let timer = null;
+  let pendingProject = new Set();
+  let pendingFeatures = new Map();
+
+  function flush() {
+    timer = null;
+    const batch = {
+      projectFiles: [...pendingProject],
+      features: {}
+    };
+    for (const [fid, files] of pendingFeatures) {
+      batch.features[fid] = [...files];
+    }
+    pendingProject = new Set();
+    pendingFeatures = new Map();
+    onChange(batch);
+  }
+
+  function record(filePath) {
+    const change = classifyChange(projectPath, filePath, featuresDir);
+    if (!change) return;
+    if (change.file === CONFIG_FILE) reloadFeaturesDir();
+
+    if (change.scope === 'project') {
+      pendingProject.add(change.file);
+    } else {
+      if (!pendingFeatures.has(change.featureId)) pendingFeatures.set(change.featureId, new Set());
+      if (change.file) pendingFeatures.get(change.featureId).add(change.file);
+      // Subdirectories may have been created since the last scan
+      watchFeature(change.featureId);
+    }
+
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  }
+
+  function watchDir(dir, filter) {
+    if (watchers.has(dir)) return;
+    let watcher;
+    try {
+      watcher = fs.watch(dir, (eventType, filename) => {
+        if (!filename) return;
+        const name = filename.toString();
+        if (filter && !filter(name)) return;
+        record(path.join(dir, name));
+      });
+    } catch {
+      return; // directory doesn't exist (yet)
+    }
+    watcher.on('error', () => {
+      // Directory was removed — drop the watcher, it is re-added if the directory returns
+      watcher.close();
+      watchers.delete(dir);
+    });
+    watchers.set(dir, watcher);
+  }
+
+  function watchFeature(featureId) {
+    const featureDir = path.join(specsDir, featureId);
+    watchDir(featureDir);
+    for (const sub of FEATURE_SUBDIRS) {
+      watchDir(path.join(featureDir, sub));
+    }
+  }
+
+  function watchSpecs() {
+    watchDir(specsDir);
+    if (!fs.existsSync(specsDir)) return;
+    for (const entry of fs.readdirSync(specsDir, { withFileTypes: true })) {
+      if (entry.isDirectory()) watchFeature(entry.name);
+    }
+  }
+
+  function watchSpecify() {
+    watchDir(specifyDir, name => PROJECT_FILES.includes(`.specify/${name}`));
+  }
+
+  function watchAll() {
+    // The features directory may not exist yet; its parent reports when it appears
+    watchDir(projectPath, name => {
+      if (name === '.specify') watchSpecify();
+      if (specsParent === projectPath && name === path.basename(specsDir)) watchSpecs();
+      return PROJECT_FILES.includes(name);
+    });
+    watchSpecify();
+    if (specsParent !== projectPath) {
+      watchDir(specsParent, name => {
+        if (name === path.basename(specsDir)) watchSpecs();
+        return false;
+      });
+    }
+    watchSpecs();
+  }
+
+  // A config that fails validation keeps the current featuresDir until it is fixed
+  function reloadFeaturesDir() {
+    let next;
+    try {
+      next = loadConfig(projectPath).featuresDir;
+    } catch {
+      return;
+    }
+    if (next === featuresDir) return;
+    featuresDir = next;
+    specsDir = path.join(projectPath, featuresDir);
+    specsParent = path.dirname(specsDir);
+    for (const watcher of watchers.values()) watcher.close();
+    watchers.clear();
+    watchAll();
+  }
+
+  watchAll();
+
+  return {
+    close() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    }
+  };
+}
+
+module.exports = { watchProject, classifyChange, PROJECT_FILES };
@@ -0,0 +1,129 @@
+#!/usr/bin/env bash
+
+# Record the upstream fingerprint of a pipeline phase in the feature's context.json
+#
+# Usage: ./record-fingerprint.sh [OPTIONS] <phase> [feature]
+#
+# Run by a phase skill right after it writes its artifact. The fingerprint is
+# the SHA256 of the artifact and of each upstream input it was derived from;
+# the dashboard marks the phase stale once an input's content changes.
+#
+# PHASE:
+#   spec     spec.md     (input: CONSTITUTION.md)
+#   plan     plan.md     (input: spec.md)
+#   tasks    tasks.md    (inputs: spec.md, plan.md)
+#   analyze  analysis.md (inputs: spec.md, plan.md, tasks.md)
+#
+# OPTIONS:
+#   --json     Output in JSON format
+#   --help,-h  Show help message
+
+set -e
+
+JSON_MODE=false
+PHASE=""
+FEATURE=""
+
+for arg in "$@"; do
+    case "$arg" in
+        --json)
+            JSON_MODE=true
+            ;;
+        --help|-h)
+            cat << 'EOF'
+Usage: record-fingerprint.sh [OPTIONS] <phase> [feature]
+
+Record the upstream fingerprint of a pipeline phase in <featuresDir>/<feature>/context.json,
+where featuresDir comes from .specify/dashboard.config.json (default: specs).
+The feature defaults to the active feature.
+
+PHASE:
+  spec     spec.md     (input: CONSTITUTION.md)
+  plan     plan.md     (input: spec.md)
+  tasks    tasks.md    (inputs: spec.md, plan.md)
+  analyze  analysis.md (inputs: spec.md, plan.md, tasks.md)
+
+OPTIONS:
+  --json     Output in JSON format
+  --help,-h  Show this help message
+
+EXAMPLES:
+  ./record-fingerprint.sh plan
+  ./record-fingerprint.sh --json tasks 001-user-auth
+
+EOF
+            exit 0
+            ;;
+        *)
+            if [[ -z "$PHASE" ]]; then PHASE="$arg"; else FEATURE="$arg"; fi
+            ;;
+    esac
+done
+
+# Source common functions
+SCRIPT_DIR="$(CDPATH="" cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+source "$SCRIPT_DIR/common.sh"
+
+REPO_ROOT=$(get_repo_root)
+
+# Features live under the dashboard's configured featuresDir, as in dashboard/src/config.js
+FEATURES_DIR="specs"
+CONFIG_FILE="$REPO_ROOT/.specify/dashboard.config.json"
+if [[ -f "$CONFIG_FILE" ]]; then
+    FEATURES_DIR=$(jq -r '.featuresDir // "specs"' "$CONFIG_FILE" 2>/dev/null) || FEATURES_DIR="specs"
+    FEATURES_DIR="${FEATURES_DIR#./}"
+    FEATURES_DIR="${FEATURES_DIR%/}"
+fi
+
+if [[ -z "$FEATURE" ]]; then
+    FEATURE=$(read_active_feature "$REPO_ROOT" 2>/dev/null) || true
+fi
+if [[ -z "$FEATURE" || ! -d "$REPO_ROOT/$FEATURES_DIR/$FEATURE" ]]; then
+    echo "ERROR: No feature found. Pass a feature directory name or set the active feature." >&2
+    exit 1
+fi
+
+# Must stay in sync with UPSTREAM / phaseArtifacts in dashboard/src/staleness.js
+FEATURE_REL="$FEATURES_DIR/$FEATURE"
+case "$PHASE" in
+    spec)    ARTIFACT="$FEATURE_REL/spec.md";     INPUTS=("CONSTITUTION.md") ;;
+    plan)    ARTIFACT="$FEATURE_REL/plan.md";     INPUTS=("$FEATURE_REL/spec.md") ;;
+    tasks)   ARTIFACT="$FEATURE_REL/tasks.md";    INPUTS=("$FEATURE_REL/spec.md" "$FEATURE_REL/plan.md") ;;
+    analyze) ARTIFACT="$FEATURE_REL/analysis.md"; INPUTS=("$FEATURE_REL/spec.md" "$FEATURE_REL/plan.md" "$FEATURE_REL/tasks.md") ;;
+    *)
+        echo "ERROR: Unknown phase '$PHASE' (expected spec, plan, tasks or analyze). Use --help for usage." >&2
+        exit 1
+        ;;
+esac
+
+if [[ ! -f "$REPO_ROOT/$ARTIFACT" ]]; then
+    echo "ERROR: $ARTIFACT not found. Write the artifact before recording its fingerprint." >&2
+    exit 1
+fi
+
+hash_file() {
+    shasum -a 256 "$1" | cut -d' ' -f1
+}
+
+INPUTS_JSON='{}'
+for input in "${INPUTS[@]}"; do
+    # Inputs that don't exist (e.g. no CONSTITUTION.md) are left out, as the dashboard does
+    [[ -f "$REPO_ROOT/$input" ]] || continue
+    INPUTS_JSON=$(jq -c --arg path "$input" --arg hash "$(hash_file "$REPO_ROOT/$input")" '.[$path] = $hash' <<< "$INPUTS_JSON")
+done
+
+CONTEXT_FILE="$REPO_ROOT/$FEATURE_REL/context.json"
+if [[ ! -f "$CONTEXT_FILE" ]] || [[ ! -s "$CONTEXT_FILE" ]] || ! jq empty "$CONTEXT_FILE" 2>/dev/null; then
+    echo '{}' > "$CONTEXT_FILE"
+fi
+
+TIMESTAMP=$(date -u +"%Y-%m-%dT%H:%M:%SZ")
+jq --arg phase "$PHASE" --arg hash "$(hash_file "$REPO_ROOT/$ARTIFACT")" --argjson inputs "$INPUTS_JSON" --arg ts "$TIMESTAMP" \
+    '.fingerprints[$phase] = {artifact_hash: $hash, inputs: $inputs, recorded_at: $ts}' \
+    "$CONTEXT_FILE" > "$CONTEXT_FILE.tmp" && mv "$CONTEXT_FILE.tmp" "$CONTEXT_FILE"
+
+if $JSON_MODE; then
+    jq -c --arg feature "$FEATURE" --arg phase "$PHASE" '{feature: $feature, phase: $phase, fingerprint: .fingerprints[$phase]}' "$CONTEXT_FILE"
+else
+    echo "[iikit] Recorded $PHASE fingerprint for $FEATURE"
+fi
@@ -0,0 +1,189 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadConfig, featureDirPath, featureSourceDir } = require('./config');
+const { hashFile, git } = require('./files');
+const { EVAL_DIRS } = require('./evals');
+const { GIT_NOTES_REF } = require('./integrity');
+
+// One JSON file per feature: {key, featureData}
+const CACHE_DIR = path.join('.specify', 'cache');
+
+// Project-level inputs shared by every feature's view data
+const PROJECT_INPUTS = ['CONSTITUTION.md', 'PREMISE.md', 'tessl.json', path.join('.specify', 'context.json')];
+
+let generatorHash = null;
+
+/**
+ * Hash of the generator's own source, so upgrading the dashboard invalidates
+ * entries computed by the previous version.
+ */
+function hashGenerator() {
+  if (generatorHash) return generatorHash;
+  const hash = crypto.createHash('sha256');
+  for (const file of fs.readdirSync(__dirname).filter(f => f.endsWith('.js')).sort()) {
+    hash.update(file).update(hashFile(path.join(__dirname, file)));
+  }
+  generatorHash = hash.digest('hex');
+  return generatorHash;
+}
+
+// git output, or "" outside a repository
+function gitOrEmpty(cwd, args) {
+  try {
+    return git(cwd, args);
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Repository state the views read besides file contents: testify notes by
+ * annotated commit (assertion hashes), the origin URL (bug links) and the
+ * working tree status (uncommitted artifacts fall back to mtimes). Commit
+ * times and blame are keyed per path, see lastCommit().
+ */
+function readRepoState(projectPath) {
+  const notes = new Map();
+  for (const line of gitOrEmpty(projectPath, ['notes', `--ref=${GIT_NOTES_REF}`, 'list']).split('\n')) {
+    const [note, commit] = line.trim().split(/\s+/);
+    if (commit) notes.set(commit, note);
+  }
+  return {
+    // Status paths are relative to the repository root, which may be above the project
+    prefix: gitOrEmpty(projectPath, ['rev-parse', '--show-prefix']).trim(),
+    notes,
+    origin: gitOrEmpty(projectPath, ['remote', 'get-url', 'origin']).trim(),
+    status: gitOrEmpty(projectPath, ['status', '--porcelain', '--untracked-files=all', '--', '.']).split('\n').filter(Boolean)
+  };
+}
+
+// Last commit touching any of the paths, or "" when untracked or outside a repository
+function lastCommit(projectPath, relPaths) {
+  return gitOrEmpty(projectPath, ['log', '-1', '--format=%H', '--', ...relPaths]).trim();
+}
+
+function listFiles(dir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const files = [];
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...listFiles(full));
+    else if (entry.isFile() && !entry.name.endsWith('.tmp')) files.push(full);
+  }
+  return files.sort();
+}
+
+/**
+ * Persistent cache of computed featureData in .specify/cache/, keyed by a
+ * SHA256 over everything a feature's views read: every file in the feature
+ * directory, the project-level artifacts, saved tile evals, the dashboard
+ * config, the git state touching those files (last commit, testify note,
+ * working tree status), the generator source and today's date (cycle times and
+ * stuck cards are relative to now). A commit that touches one feature leaves
+ * the other features' keys unchanged; they reuse their previous featureData
+ * without re-parsing anything.
+ *
+ * @param {string} projectPath - Absolute project root
+ * @param {Object} [options]
+ * @param {boolean} [options.write=true] - Store computed entries (false keeps the cache read-only, e.g. for gate)
+ * @returns {{get: Function, set: Function, retain: Function, stats: {hits: number, misses: number}}}
+ *   get(featureId) returns the cached featureData or null; set(featureId, featureData) stores it
+ *   under the key computed by the preceding get; retain(featureIds) deletes entries of other features.
+ */
+function openFeatureCache(projectPath, options = {}) {
+  const write = options.write !== false;
+  const cacheDir = path.join(projectPath, CACHE_DIR);
+  const repo = readRepoState(projectPath);
+  const stats = { hits: 0, misses: 0 };
+  const keys = new Map();
+
+  const projectHash = crypto.createHash('sha256')
+    .update(hashGenerator())
+    .update(new Date().toISOString().slice(0, 10))
+    .update(JSON.stringify(loadConfig(projectPath)))
+    .update(String(Boolean(process.env.ANTHROPIC_API_KEY)))
+    .update(repo.origin)
+    .update(lastCommit(projectPath, PROJECT_INPUTS));
+  for (const rel of PROJECT_INPUTS) {
+    projectHash.update(`${rel}\0${hashFile(path.join(projectPath, rel)) || '-'}\0`);
+  }
+  // Saved tile evals feed every plan view; their mtimes are shown as fetch times
+  for (const dir of EVAL_DIRS) {
+    for (const file of listFiles(path.join(projectPath, dir))) {
+      const stat = fs.statSync(file, { throwIfNoEntry: false });
+      projectHash.update(`${path.relative(projectPath, file)}\0${hashFile(file) || '-'}\0${stat ? stat.mtimeMs : '-'}\0`);
+    }
+  }
+  const statusOf = relPath => repo.status.filter(line => line.includes(repo.prefix + relPath));
+  for (const rel of PROJECT_INPUTS) {
+    for (const line of statusOf(rel.split(path.sep).join('/'))) projectHash.update(line);
+  }
+  const projectKey = projectHash.digest('hex');
+
+  function keyFor(featureId) {
+    const featureDir = featureDirPath(projectPath, featureId);
+    const sourceDir = featureSourceDir(projectPath, featureId);
+    const hash = crypto.createHash('sha256').update(projectKey).update(featureId);
+    for (const file of listFiles(featureDir)) {
+      hash.update(`${path.relative(featureDir, file)}\0${hashFile(file) || '-'}\0`);
+    }
+    for (const line of statusOf(sourceDir + '/')) hash.update(line);
+    // Commit times and blame come from the feature's own history; the testify
+    // note hangs off the last commit touching its tests/features directory
+    hash.update(`${lastCommit(projectPath, [sourceDir])}\0`);
+    const notedCommit = lastCommit(projectPath, [`${sourceDir}/tests/features`]);
+    hash.update(`${notedCommit ? repo.notes.get(notedCommit) || '-' : '-'}\0`);
+    return hash.digest('hex');
+  }
+
+  function entryPath(featureId) {
+    return path.join(cacheDir, `${featureId}.json`);
+  }
+
+  return {
+    stats,
+    get(featureId) {
+      const key = keyFor(featureId);
+      keys.set(featureId, key);
+      try {
+        const entry = JSON.parse(fs.readFileSync(entryPath(featureId), 'utf-8'));
+        if (entry && entry.key === key && entry.featureData) {
+          stats.hits++;
+          return entry.featureData;
+        }
+      } catch {
+        // no entry yet, or a corrupt one — recompute
+      }
+      stats.misses++;
+      return null;
+    },
+    set(featureId, featureData) {
+      if (!write || !keys.has(featureId)) return;
+      try {
+        fs.mkdirSync(cacheDir, { recursive: true });
+        const tmpPath = entryPath(featureId) + '.tmp';
+        fs.writeFileSync(tmpPath, JSON.stringify({ key: keys.get(featureId), featureData }), 'utf-8');
+        fs.renameSync(tmpPath, entryPath(featureId));
+      } catch {
+        // an unwritable cache only costs speed
+      }
+    },
+    retain(featureIds) {
+      if (!write || !fs.existsSync(cacheDir)) return;
+      const keep = new Set(featureIds.map(fid => `${fid}.json`));
+      for (const file of fs.readdirSync(cacheDir)) {
+        if (file.endsWith('.json') && !keep.has(file)) fs.rmSync(path.join(cacheDir, file), { force: true });
+      }
+    }
+  };
+}
+
+module.exports = { CACHE_DIR, openFeatureCache };
@@ -0,0 +1,305 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Project configuration file, relative to the project root
+const CONFIG_FILE = '.specify/dashboard.config.json';
+
+// Health factors computed by analyze.js
+const HEALTH_FACTOR_IDS = [
+  'requirementsCoverage', 'constitutionCompliance', 'phaseSeparation', 'testCoverage',
+  'criticalBugs', 'checklistCompletion', 'integrity'
+];
+
+// Diagram node types the plan view colors (anything else renders as "default")
+const NODE_TYPES = ['client', 'server', 'storage', 'external'];
+
+// Where the plan view looks for Tessl tile eval scores (see evals.js)
+const EVAL_SOURCES = ['cache', 'context', 'cli'];
+
+const percent = { type: 'number', min: 0, max: 100 };
+const penalty = { type: 'number', min: 0 };
+
+/**
+ * Schema of .specify/dashboard.config.json. Leaves carry a type and a default;
+ * sections list their keys under `properties`. A `map` accepts any of `keys`
+ * (or any key when omitted), each validated against `values`; its default
+ * applies only when the map is absent, it is not merged key by key. A string
+ * or string[] leaf with `enum` accepts only those values.
+ */
+const CONFIG_SCHEMA = {
+  properties: {
+    featuresDir: { type: 'path', default: 'specs', description: 'Directory with one subdirectory per feature' },
+    output: {
+      properties: {
+        html: { type: 'path', default: '.specify/dashboard.html', description: 'Generated dashboard' },
+        json: { type: 'path', default: '.specify/dashboard-data.json', description: 'Export written by --format json' },
+        sizeWarningKB: { type: 'number', min: 0, default: 500, description: 'Warn when a feature\'s data exceeds this size' }
+      }
+    },
+    checklists: {
+      properties: {
+        // requirements.md is the spec quality checklist from /iikit-01-specify, not a domain checklist
+        exclude: { type: 'string[]', default: ['requirements.md'], description: 'Checklist file names to ignore' }
+      }
+    },
+    planview: {
+      properties: {
+        architectureHeadings: {
+          type: 'string[]',
+          default: ['Architecture Overview', 'Architecture'],
+          description: 'plan.md ## sections searched in order for the architecture diagram (ASCII, mermaid or plantuml block)'
+        },
+        llmClassifier: { type: 'boolean', default: false, description: 'Also classify diagram nodes with the Anthropic API (needs ANTHROPIC_API_KEY); the offline rules run either way' },
+        nodeTypes: {
+          type: 'map',
+          values: { type: 'string', enum: NODE_TYPES },
+          default: {},
+          description: 'Node type by exact node label or by keyword; wins over the built-in rules and the API'
+        },
+        evalSources: {
+          type: 'string[]',
+          enum: EVAL_SOURCES,
+          default: EVAL_SOURCES,
+          description: 'Tessl eval sources tried in order: saved JSON in .tessl/evals/ or .specify/evals/, context.json planview.evalScores, the tessl CLI ("cli", needs network access; drop it to stay offline)'
+        }
+      }
+    },
+    gate: {
+      properties: {
+        integrity: { type: 'boolean', default: true },
+        allowLegacyHashes: {
+          type: 'boolean',
+          default: false,
+          description: 'Pass the integrity rule on step-only assertion hashes stored before Examples tables and doc strings were hashed'
+        },
+        checklist: { type: 'boolean', default: true },
+        coverage: { type: 'boolean', default: true },
+        minHealthScore: { ...percent, nullable: true, default: 70, description: 'null skips the health check' }
+      }
+    },
+    metrics: {
+      properties: {
+        stuckThresholdDays: { type: 'number', min: 0, default: 7 }
+      }
+    },
+    health: {
+      properties: {
+        factors: {
+          type: 'map',
+          keys: HEALTH_FACTOR_IDS,
+          values: {
+            type: 'number|object',
+            min: 0,
+            properties: {
+              weight: { type: 'number', min: 0, default: 1 },
+              label: { type: 'string' }
+            }
+          },
+          default: {
+            requirementsCoverage: { weight: 1 },
+            constitutionCompliance: { weight: 1 },
+            phaseSeparation: { weight: 1 },
+            testCoverage: { weight: 1 }
+          }
+        },
+        zones: {
+          properties: {
+            red: { ...percent, default: 40, description: 'Scores up to this are red' },
+            yellow: { ...percent, default: 70, description: 'Scores up to this are yellow, above are green' }
+          }
+        },
+        severityPenalties: {
+          properties: {
+            CRITICAL: { ...penalty, default: 25 },
+            HIGH: { ...penalty, default: 15 },
+            MEDIUM: { ...penalty, default: 5 },
+            LOW: { ...penalty, default: 2 }
+          }
+        }
+      }
+    }
+  }
+};
+
+function defaultsOf(schema) {
+  if (schema.properties && !schema.type) {
+    const result = {};
+    for (const [key, child] of Object.entries(schema.properties)) {
+      const value = defaultsOf(child);
+      if (value !== undefined) result[key] = value;
+    }
+    return result;
+  }
+  return schema.default === undefined ? undefined : JSON.parse(JSON.stringify(schema.default));
+}
+
+const DEFAULT_CONFIG = defaultsOf(CONFIG_SCHEMA);
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  return typeof value === 'string' ? JSON.stringify(value) : `a ${typeof value}`;
+}
+
+/**
+ * Validate a parsed value against a schema node and merge it over defaults.
+ *
+ * @returns {*} The merged value
+ * @throws {Error} Naming the file and the offending key
+ */
+function validate(value, schema, keyPath, file) {
+  const fail = msg => { throw new Error(`${file}: "${keyPath}" ${msg}`); };
+  const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+  if (value === null && schema.nullable) return null;
+
+  if (schema.properties && (!schema.type || (schema.type === 'number|object' && isObject(value)))) {
+    if (!isObject(value)) fail(`must be an object, got ${describe(value)}`);
+    const known = Object.keys(schema.properties);
+    const result = defaultsOf({ properties: schema.properties });
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      if (!known.includes(key)) {
+        throw new Error(`${file}: unknown key "${childPath}" (expected one of: ${known.join(', ')})`);
+      }
+      result[key] = validate(child, schema.properties[key], childPath, file);
+    }
+    return result;
+  }
+
+  switch (schema.type) {
+    case 'map': {
+      if (!isObject(value)) fail(`must be an object, got ${describe(value)}`);
+      const result = {};
+      for (const [key, child] of Object.entries(value)) {
+        if (schema.keys && !schema.keys.includes(key)) {
+          throw new Error(`${file}: unknown key "${keyPath}.${key}" (expected one of: ${schema.keys.join(', ')})`);
+        }
+        result[key] = validate(child, schema.values, `${keyPath}.${key}`, file);
+      }
+      return result;
+    }
+    case 'number':
+    case 'number|object':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        fail(`must be a ${schema.type === 'number' ? 'number' : 'number or an object'}, got ${describe(value)}`);
+      }
+      if (schema.min !== undefined && value < schema.min) fail(`must be at least ${schema.min}, got ${value}`);
+      if (schema.max !== undefined && value > schema.max) fail(`must be at most ${schema.max}, got ${value}`);
+      return value;
+    case 'boolean':
+      if (typeof value !== 'boolean') fail(`must be true or false, got ${describe(value)}`);
+      return value;
+    case 'string':
+      if (typeof value !== 'string') fail(`must be a string, got ${describe(value)}`);
+      if (schema.enum && !schema.enum.includes(value)) fail(`must be one of ${schema.enum.join(', ')}, got ${describe(value)}`);
+      return value;
+    case 'string[]':
+      if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) fail(`must be an array of strings, got ${describe(value)}`);
+      if (schema.enum) {
+        const unknown = value.find(v => !schema.enum.includes(v));
+        if (unknown !== undefined) fail(`entries must be one of ${schema.enum.join(', ')}, got ${describe(unknown)}`);
+      }
+      return [...value];
+    case 'path': {
+      if (typeof value !== 'string' || !value.trim()) fail(`must be a non-empty path, got ${describe(value)}`);
+      const normalized = path.posix.normalize(value.replace(/\\/g, '/')).replace(/\/+$/, '');
+      if (path.isAbsolute(value) || normalized === '..' || normalized.startsWith('../')) {
+        fail(`must be a path inside the project, got ${describe(value)}`);
+      }
+      return normalized;
+    }
+    default:
+      throw new Error(`Unsupported schema type: ${schema.type}`);
+  }
+}
+
+function readJson(filePath, label) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`${label}: invalid JSON (${err.message})`);
+  }
+}
+
+function mtimeOf(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+// Parsed configuration per project root, reused until the file changes
+const configCache = new Map();
+
+/**
+ * Load the dashboard configuration for a project: .specify/dashboard.config.json
+ * validated against CONFIG_SCHEMA and merged over the defaults.
+ *
+ * Example:
+ *   { "featuresDir": "docs/specs", "output": { "html": "build/dashboard.html" },
+ *     "planview": { "nodeTypes": { "Khoj": "external" } }, "gate": { "minHealthScore": 60 } }
+ *
+ * @param {string} projectPath - Path to the project root
+ * @returns {Object} Complete configuration (every key of DEFAULT_CONFIG present)
+ * @throws {Error} On malformed JSON, unknown keys or values of the wrong type
+ */
+function loadConfig(projectPath) {
+  const configPath = path.join(projectPath, CONFIG_FILE);
+  const stamp = String(mtimeOf(configPath));
+  const cached = configCache.get(projectPath);
+  if (cached && cached.stamp === stamp) return cached.config;
+
+  let raw = {};
+  if (fs.existsSync(configPath)) {
+    raw = readJson(configPath, CONFIG_FILE);
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error(`${CONFIG_FILE}: must contain a JSON object, got ${describe(raw)}`);
+    }
+  }
+  const config = validate(raw, CONFIG_SCHEMA, '', CONFIG_FILE);
+
+  if (config.health.zones.red > config.health.zones.yellow) {
+    throw new Error(`health.zones: red (${config.health.zones.red}) must not exceed yellow (${config.health.zones.yellow})`);
+  }
+
+  configCache.set(projectPath, { stamp, config });
+  return config;
+}
+
+/**
+ * Absolute path of a feature's directory under the configured featuresDir.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {string} featureId - Feature directory name
+ * @returns {string}
+ */
+function featureDirPath(projectPath, featureId) {
+  return path.join(projectPath, loadConfig(projectPath).featuresDir, featureId);
+}
+
+/**
+ * A feature's directory relative to the project root, as recorded in source
+ * positions and messages (e.g. "specs/001-auth").
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {string} featureId - Feature directory name
+ * @returns {string}
+ */
+function featureSourceDir(projectPath, featureId) {
+  return `${loadConfig(projectPath).featuresDir}/${featureId}`;
+}
+
+module.exports = {
+  CONFIG_FILE,
+  CONFIG_SCHEMA,
+  DEFAULT_CONFIG,
+  HEALTH_FACTOR_IDS,
+  NODE_TYPES,
+  loadConfig,
+  featureDirPath,
+  featureSourceDir
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+
+// Contents and SHA256 by absolute path, reused while size and mtime are unchanged
+const fileCache = new Map();
+
+function entryFor(filePath) {
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch {
+    fileCache.delete(filePath);
+    return null;
+  }
+  if (!stat.isFile()) return null;
+
+  const cached = fileCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached;
+
+  const buffer = fs.readFileSync(filePath);
+  const entry = {
+    mtimeMs: stat.mtimeMs,
+    size: stat.size,
+    content: buffer.toString('utf-8'),
+    hash: crypto.createHash('sha256').update(buffer).digest('hex')
+  };
+  fileCache.set(filePath, entry);
+  return entry;
+}
+
+/**
+ * Read a text file once: later calls return the same string until the file's
+ * size or mtime changes, so views parsing the same artifact share one read.
+ *
+ * @param {string} filePath - Absolute path
+ * @returns {string|null} UTF-8 content, null when the file doesn't exist
+ */
+function readText(filePath) {
+  const entry = entryFor(filePath);
+  return entry ? entry.content : null;
+}
+
+/**
+ * SHA256 of a file's bytes, computed when the file is read (see readText).
+ *
+ * @param {string} filePath - Absolute path
+ * @returns {string|null} Hex digest, null when the file doesn't exist
+ */
+function hashFile(filePath) {
+  const entry = entryFor(filePath);
+  return entry ? entry.hash : null;
+}
+
+/**
+ * Read and parse a JSON file through the same layer.
+ *
+ * @param {string} filePath - Absolute path
+ * @returns {*} Parsed value, null when the file doesn't exist or is malformed
+ */
+function readJson(filePath) {
+  const content = readText(filePath);
+  if (content === null) return null;
+  try {
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run git without a shell and return its stdout. Throws when git is missing,
+ * the directory is outside a repository or the command fails; stderr is dropped.
+ *
+ * @param {string} cwd - Directory to run in
+ * @param {string[]} args - git arguments
+ * @param {Object} [options] - Extra execFileSync options (e.g. maxBuffer)
+ * @returns {string}
+ */
+function git(cwd, args, options = {}) {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000, ...options });
+}
+
+module.exports = { readText, hashFile, readJson, git };
@@ -2,18 +2,85 @@
 
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_CONFIG } = require('./config');
+const { readText } = require('./files');
+
+// Line grammars — shared with lint.js so its diagnostics agree with what the parsers accept
+const GRAMMAR = {
+  storyHeading: /### User Story (\d+) - (.+?) \(Priority: (P\d+)\)/,
+  task: /- \[([ x])\] (T(?:-B)?\d+)\s+(\[P\]\s*)?(?:\[(US\d+|BUG-\d+)\]\s*)?(.*)/,
+  phaseHeading: /^## Phase (\d+):\s*(.+?)\s*$/,
+  checkpoint: /^\*\*Checkpoint\*\*:\s*(.+?)\s*$/,
+  requirement: /- \*\*FR-(\d+)\*\*:\s*(.*)/,
+  successCriterion: /- \*\*SC-(\d+)\*\*:\s*(.*)/,
+  bugHeading: /^## (BUG-\d+)\s*$/
+};
+
+/**
+ * Build a function mapping a character offset in content to a 1-based
+ * {line, column} position, as recorded in entity source positions.
+ * Line starts are precomputed so repeated lookups stay cheap on large files.
+ *
+ * @param {string} content
+ * @returns {function(number): {line: number, column: number}}
+ */
+function createPositionLocator(content) {
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') starts.push(i + 1);
+  }
+  return index => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= index) lo = mid;
+      else hi = mid - 1;
+    }
+    return { line: lo + 1, column: index - starts[lo] + 1 };
+  };
+}
+
+/**
+ * Build a function mapping a character offset in content to a 1-based line number.
+ *
+ * @param {string} content
+ * @returns {function(number): number}
+ */
+function createLineLocator(content) {
+  const locate = createPositionLocator(content);
+  return index => locate(index).line;
+}
+
+// 1-based column of a line's first non-blank character, for line-by-line parsers
+function indentColumn(line) {
+  return line.length - line.trimStart().length + 1;
+}
+
+/**
+ * Convert an absolute artifact path to the project-relative, forward-slash form
+ * recorded in entity source positions (e.g. "specs/001-auth/spec.md").
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {string} filePath - Absolute path to the artifact
+ * @returns {string}
+ */
+function toSourcePath(projectPath, filePath) {
+  return path.relative(projectPath, filePath).split(path.sep).join('/');
+}
 
 /**
  * Parse spec.md to extract user stories.
  * Pattern: ### User Story N - Title (Priority: PX)
  *
  * @param {string} content - Raw markdown content of spec.md
- * @returns {Array<{id: string, title: string, priority: string}>}
+ * @param {string} [file] - Source path recorded on each story (e.g. "specs/001-auth/spec.md")
+ * @returns {Array<{id: string, title: string, priority: string, source: {file: string|null, line: number, column: number}}>}
  */
-function parseSpecStories(content) {
+function parseSpecStories(content, file = null) {
   if (!content || typeof content !== 'string') return [];
 
-  const regex = /### User Story (\d+) - (.+?) \(Priority: (P\d+)\)/g;
+  const regex = new RegExp(GRAMMAR.storyHeading.source, 'g');
   const stories = [];
   const storyStarts = [];
   let match;
@@ -27,6 +94,7 @@ function parseSpecStories(content) {
     });
   }
 
+  const locate = createPositionLocator(content);
   for (let i = 0; i < storyStarts.length; i++) {
     const start = storyStarts[i].index;
     const end = i + 1 < storyStarts.length ? storyStarts[i + 1].index : content.length;
@@ -47,41 +115,102 @@ function parseSpecStories(content) {
       title: storyStarts[i].title,
       priority: storyStarts[i].priority,
       scenarioCount,
-      body
+      body,
+      source: { file, ...locate(start) }
     });
   }
 
   return stories;
 }
 
+/**
+ * Parse the phase structure of tasks.md.
+ * Pattern: ## Phase N: Title, closed by an optional **Checkpoint**: text line.
+ * A phase may contain several checkpoints; each one closes the tasks above it.
+ *
+ * @param {string} content - Raw markdown content of tasks.md
+ * @param {string} [file] - Source path recorded on each phase
+ * @returns {Array<{number: number, title: string, start: number, end: number, checkpoints: Array<{text: string, index: number, line: number}>, source: {file: string|null, line: number, column: number}}>}
+ *   start/end are character offsets of the phase body in content.
+ */
+function parseTaskPhases(content, file = null) {
+  if (!content || typeof content !== 'string') return [];
+
+  const headingRegex = new RegExp(GRAMMAR.phaseHeading.source, 'gm');
+  const checkpointRegex = new RegExp(GRAMMAR.checkpoint.source, 'gm');
+  const locate = createPositionLocator(content);
+  const phases = [];
+  let match;
+
+  while ((match = headingRegex.exec(content)) !== null) {
+    phases.push({
+      number: parseInt(match[1], 10),
+      title: match[2],
+      start: match.index,
+      end: content.length,
+      checkpoints: [],
+      source: { file, ...locate(match.index) }
+    });
+  }
+
+  // A phase ends at the next "## " heading, so trailing sections like "## Dependencies" are excluded
+  const sectionRegex = /^## /gm;
+  for (const phase of phases) {
+    sectionRegex.lastIndex = phase.start + 1;
+    const next = sectionRegex.exec(content);
+    if (next) phase.end = next.index;
+  }
+
+  while ((match = checkpointRegex.exec(content)) !== null) {
+    const phase = phases.find(p => match.index > p.start && match.index < p.end);
+    if (phase) phase.checkpoints.push({ text: match[1], index: match.index, line: locate(match.index).line });
+  }
+
+  return phases;
+}
+
 /**
  * Parse tasks.md to extract tasks with checkbox status and story tags.
  * Pattern: - [x] TXXX [P]? [USy]? Description
  * Extended: also matches T-B\d+ IDs and [BUG-\d+] tags for bug fix tasks.
  *
+ * Each task also records the phase it sits in (## Phase N: ...), whether it is
+ * marked [P] (parallelizable), and the checkpoint that closes its part of the phase.
+ *
  * @param {string} content - Raw markdown content of tasks.md
- * @returns {Array<{id: string, storyTag: string|null, bugTag: string|null, description: string, checked: boolean, isBugFix: boolean}>}
+ * @param {string} [file] - Source path recorded on each task (e.g. "specs/001-auth/tasks.md")
+ * @returns {Array<{id: string, storyTag: string|null, bugTag: string|null, description: string, checked: boolean, isBugFix: boolean,
+ *   parallel: boolean, phase: number|null, checkpoint: string|null, source: {file: string|null, line: number, column: number}}>}
  */
-function parseTasks(content) {
+function parseTasks(content, file = null) {
   if (!content || typeof content !== 'string') return [];
 
-  const regex = /- \[([ x])\] (T(?:-B)?\d+)\s+(?:\[P\]\s*)?(?:\[(US\d+|BUG-\d+)\]\s*)?(.*)/g;
+  const regex = new RegExp(GRAMMAR.task.source, 'g');
   const tasks = [];
+  const locate = createPositionLocator(content);
+  const phases = parseTaskPhases(content);
   let match;
 
   while ((match = regex.exec(content)) !== null) {
     const id = match[2];
-    const tag = match[3] || null;
+    const tag = match[4] || null;
     const isBugFix = id.startsWith('T-B');
     const isBugTag = tag && /^BUG-\d+$/.test(tag);
+    const index = match.index;
+    const phase = phases.find(p => index > p.start && index < p.end) || null;
+    const checkpoint = phase ? phase.checkpoints.find(c => c.index > index) || null : null;
 
     tasks.push({
       id,
       storyTag: (tag && !isBugTag) ? tag : null,
       bugTag: isBugTag ? tag : null,
-      description: match[4].trim(),
+      description: match[5].trim(),
       checked: match[1] === 'x',
-      isBugFix
+      isBugFix,
+      parallel: Boolean(match[3]),
+      phase: phase ? phase.number : null,
+      checkpoint: checkpoint ? checkpoint.text : null,
+      source: { file, ...locate(index) }
     });
   }
 
@@ -92,23 +221,20 @@ function parseTasks(content) {
  * Parse all checklist files in a directory and return aggregate completion.
  *
  * @param {string} checklistDir - Path to checklists/ directory
+ * @param {string[]} [exclude] - File names to skip (config checklists.exclude)
  * @returns {{total: number, checked: number, percentage: number}}
  */
-function parseChecklists(checklistDir) {
+function parseChecklists(checklistDir, exclude = DEFAULT_CONFIG.checklists.exclude) {
   const result = { total: 0, checked: 0, percentage: 0 };
 
   if (!fs.existsSync(checklistDir)) return result;
 
-  const allFiles = fs.readdirSync(checklistDir).filter(f => f.endsWith('.md'));
-
-  // Exclude requirements.md — it's a spec quality checklist created by /iikit-01-specify,
-  // not a domain checklist from /iikit-03-checklist. Including it falsely marks checklist phase complete.
-  const files = allFiles.filter(f => f !== 'requirements.md');
+  const files = fs.readdirSync(checklistDir).filter(f => f.endsWith('.md') && !exclude.includes(f));
 
   if (files.length === 0) return result;
 
   for (const file of files) {
-    const content = fs.readFileSync(path.join(checklistDir, file), 'utf-8');
+    const content = readText(path.join(checklistDir, file));
     const lines = content.split('\n');
     for (const line of lines) {
       if (/- \[x\]/i.test(line)) {
@@ -128,22 +254,25 @@ function parseChecklists(checklistDir) {
  * Parse all checklist files in a directory and return detailed per-file data
  * with individual items, categories, CHK IDs, and tags.
  *
- * Excludes requirements.md (spec quality checklist from /iikit-01-specify).
+ * Excludes requirements.md (spec quality checklist from /iikit-01-specify) by default.
  *
  * @param {string} checklistDir - Path to checklists/ directory
+ * @param {string} [sourceDir] - Directory prefix recorded in item source positions
+ *   (e.g. "specs/001-auth/checklists"); defaults to checklistDir
+ * @param {string[]} [exclude] - File names to skip (config checklists.exclude)
  * @returns {Array<{name: string, filename: string, total: number, checked: number, items: Array}>}
  */
-function parseChecklistsDetailed(checklistDir) {
+function parseChecklistsDetailed(checklistDir, sourceDir = checklistDir, exclude = DEFAULT_CONFIG.checklists.exclude) {
   if (!fs.existsSync(checklistDir)) return [];
 
-  const files = fs.readdirSync(checklistDir).filter(f => f.endsWith('.md') && f !== 'requirements.md');
+  const files = fs.readdirSync(checklistDir).filter(f => f.endsWith('.md') && !exclude.includes(f));
 
   if (files.length === 0) return [];
 
   const result = [];
 
   for (const file of files) {
-    const content = fs.readFileSync(path.join(checklistDir, file), 'utf-8');
+    const content = readText(path.join(checklistDir, file));
     const lines = content.split('\n');
 
     // Derive human-readable name from filename
@@ -155,7 +284,8 @@ function parseChecklistsDetailed(checklistDir) {
     let totalCount = 0;
     let checkedCount = 0;
 
-    for (const line of lines) {
+    for (let lineIdx = 0; lineIdx < lines.length; lineIdx++) {
+      const line = lines[lineIdx];
       // Track category headings (## or ###)
       const headingMatch = line.match(/^#{2,3}\s+(.+)/);
       if (headingMatch) {
@@ -195,7 +325,8 @@ function parseChecklistsDetailed(checklistDir) {
         checked: isChecked,
         chkId,
         category: currentCategory,
-        tags
+        tags,
+        source: { file: `${sourceDir}/${file}`, line: lineIdx + 1, column: 1 }
       });
     }
 
@@ -221,7 +352,7 @@ function parseChecklistsDetailed(checklistDir) {
 function parseConstitutionTDD(constitutionPath) {
   if (!fs.existsSync(constitutionPath)) return false;
 
-  const content = fs.readFileSync(constitutionPath, 'utf-8').toLowerCase();
+  const content = readText(constitutionPath).toLowerCase();
   // Keep in sync with assess_tdd_requirements() in testify-tdd.sh
   const hasTDDTerms = /\btdd\b|\bbdd\b|test-first|red-green-refactor|write tests before|tests must be written before|test-driven|behavior-driven|behaviour-driven/.test(content);
   const hasMandatory = /\bmust\b|\brequired\b|non-negotiable/.test(content);
@@ -268,7 +399,7 @@ function parsePremise(projectPath) {
     return { content: null, exists: false };
   }
 
-  const content = fs.readFileSync(premisePath, 'utf-8');
+  const content = readText(premisePath);
   return { content, exists: true };
 }
 
@@ -285,7 +416,7 @@ function parseConstitutionPrinciples(projectPath) {
     return { principles: [], version: null, exists: false };
   }
 
-  const content = fs.readFileSync(constitutionPath, 'utf-8');
+  const content = readText(constitutionPath);
   const lines = content.split('\n');
   const principles = [];
 
@@ -418,19 +549,22 @@ function finalizePrinciple(principle) {
  * Pattern: - **FR-XXX**: description
  *
  * @param {string} content - Raw markdown content of spec.md
- * @returns {Array<{id: string, text: string}>}
+ * @param {string} [file] - Source path recorded on each entry
+ * @returns {Array<{id: string, text: string, source: {file: string|null, line: number, column: number}}>}
  */
-function parseRequirements(content) {
+function parseRequirements(content, file = null) {
   if (!content || typeof content !== 'string') return [];
 
-  const regex = /- \*\*FR-(\d+)\*\*:\s*(.*)/g;
+  const regex = new RegExp(GRAMMAR.requirement.source, 'g');
   const requirements = [];
+  const locate = createPositionLocator(content);
   let match;
 
   while ((match = regex.exec(content)) !== null) {
     requirements.push({
       id: `FR-${match[1]}`,
-      text: match[2].trim()
+      text: match[2].trim(),
+      source: { file, ...locate(match.index) }
     });
   }
 
@@ -442,19 +576,22 @@ function parseRequirements(content) {
  * Pattern: - **SC-XXX**: description
  *
  * @param {string} content - Raw markdown content of spec.md
- * @returns {Array<{id: string, text: string}>}
+ * @param {string} [file] - Source path recorded on each entry
+ * @returns {Array<{id: string, text: string, source: {file: string|null, line: number, column: number}}>}
  */
-function parseSuccessCriteria(content) {
+function parseSuccessCriteria(content, file = null) {
   if (!content || typeof content !== 'string') return [];
 
-  const regex = /- \*\*SC-(\d+)\*\*:\s*(.*)/g;
+  const regex = new RegExp(GRAMMAR.successCriterion.source, 'g');
   const criteria = [];
+  const locate = createPositionLocator(content);
   let match;
 
   while ((match = regex.exec(content)) !== null) {
     criteria.push({
       id: `SC-${match[1]}`,
-      text: match[2].trim()
+      text: match[2].trim(),
+      source: { file, ...locate(match.index) }
     });
   }
 
@@ -582,7 +719,7 @@ function parseStoryRequirementRefs(content) {
   if (!content || typeof content !== 'string') return [];
 
   const edges = [];
-  const storyRegex = /### User Story (\d+) - .+? \(Priority: P\d+\)/g;
+  const storyRegex = new RegExp(GRAMMAR.storyHeading.source, 'g');
   const storyStarts = [];
   let match;
 
@@ -744,24 +881,65 @@ function parseFileStructure(content) {
 }
 
 /**
- * Parse plan.md Architecture Overview section to extract ASCII diagram.
- * Detects boxes using box-drawing characters and connections between them.
+ * Find the architecture diagram in plan.md: the first fenced code block in
+ * the first of the given ## sections that exists.
  *
  * @param {string} content - Raw markdown content of plan.md
- * @returns {{nodes: Array, edges: Array, raw: string}|null}
+ * @param {string[]} [headings] - Section titles to try in order (config planview.architectureHeadings)
+ * @returns {{lang: string, body: string}|null} Lowercased fence language ("" when none) and block body
  */
-function parseAsciiDiagram(content) {
+function findArchitectureBlock(content, headings = DEFAULT_CONFIG.planview.architectureHeadings) {
   if (!content || typeof content !== 'string') return null;
 
-  // Find Architecture Overview section
-  const sectionMatch = content.match(/^## Architecture Overview\s*$/m);
-  if (!sectionMatch) return null;
+  for (const heading of headings) {
+    const section = locateSection(content, heading.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (!section) continue;
+    const codeBlockMatch = section.text.match(/```[ \t]*([\w-]*)[^\n]*\n([\s\S]*?)```/);
+    if (codeBlockMatch) return { lang: codeBlockMatch[1].toLowerCase(), body: codeBlockMatch[2] };
+  }
+  return null;
+}
 
-  const afterSection = content.substring(sectionMatch.index);
-  const codeBlockMatch = afterSection.match(/```(?:\w*)\n([\s\S]*?)```/);
-  if (!codeBlockMatch) return null;
+/**
+ * Parse the plan.md architecture diagram, whichever notation it uses: a
+ * ```mermaid flowchart/graph, a ```plantuml (or @startuml) component diagram,
+ * or box-drawing ASCII art.
+ *
+ * @param {string} content - Raw markdown content of plan.md
+ * @param {Object} [options]
+ * @param {string[]} [options.headings] - Section titles to try in order (config planview.architectureHeadings)
+ * @returns {{nodes: Array, edges: Array, raw: string, format: string}|null} format is "ascii", "mermaid" or "plantuml"
+ */
+function parseArchitectureDiagram(content, options = {}) {
+  const block = findArchitectureBlock(content, options.headings);
+  if (!block) return null;
+
+  const firstLine = block.body.split('\n').map(l => l.trim()).find(l => l && !l.startsWith('%%')) || '';
+  if (block.lang === 'mermaid' || /^(flowchart|graph)\b/.test(firstLine)) return parseMermaidDiagram(block.body);
+  if (block.lang === 'plantuml' || block.lang === 'puml' || firstLine.startsWith('@startuml')) return parsePlantUmlDiagram(block.body);
+  return parseAsciiDiagram(content, options);
+}
+
+/**
+ * Parse the plan.md architecture section to extract an ASCII diagram.
+ * Detects boxes drawn with box-drawing characters (┌┐└┘, ╭╮╰╯) or ASCII
+ * (+--+, |), and the lines between them: vertical, horizontal or routed
+ * through corners and junctions; a horizontal line may end up to two blank
+ * cells short of the box it meets. An arrowhead (▼ ▲ ► ◄, or v ^ > < at the end
+ * of a line) makes the edge directed towards the box it points at; a label is
+ * text written inline on the line, beside a vertical segment or just above a
+ * horizontal one.
+ *
+ * @param {string} content - Raw markdown content of plan.md
+ * @param {Object} [options]
+ * @param {string[]} [options.headings] - Section titles to try in order (config planview.architectureHeadings)
+ * @returns {{nodes: Array, edges: Array<{from: string, to: string, label: string|null, directed: boolean}>, raw: string, format: string}|null}
+ */
+function parseAsciiDiagram(content, options = {}) {
+  const block = findArchitectureBlock(content, options.headings);
+  if (!block) return null;
 
-  const raw = codeBlockMatch[1];
+  const raw = block.body;
   const lines = raw.split('\n');
 
   // Build 2D grid
@@ -769,30 +947,21 @@ function parseAsciiDiagram(content) {
   const height = grid.length;
   const width = Math.max(...grid.map(r => r.length), 0);
 
-  // Track which cells belong to boxes
-  const boxCells = Array.from({ length: height }, () => new Array(width).fill(false));
-
   const nodes = [];
   const used = Array.from({ length: height }, () => new Array(width).fill(false));
 
-  // Find all boxes: scan for ┌ characters (don't skip used — allows nested boxes)
+  // Find all boxes: scan for top-left corners (don't skip used — allows nested boxes)
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < (grid[y] ? grid[y].length : 0); x++) {
-      if (grid[y][x] === '┌') {
-        const box = traceBox(grid, x, y, used);
+      const style = BOX_STYLES.find(s => s.topLeft === grid[y][x]);
+      if (style) {
+        const box = traceBox(grid, x, y, used, style);
         if (box) {
-          // Mark cells
-          for (let by = box.y; by <= box.y2; by++) {
-            for (let bx = box.x; bx <= box.x2; bx++) {
-              boxCells[by][bx] = true;
-            }
-          }
-
           // Extract text content
           const textLines = [];
           for (let by = box.y + 1; by < box.y2; by++) {
-            const lineText = lines[by]
-              ? lines[by].substring(box.x + 1, box.x2).replace(/│/g, ' ').trim()
+            const lineText = grid[by]
+              ? grid[by].slice(box.x + 1, box.x2).join('').replace(/[│|]/g, ' ').trim()
               : '';
             if (lineText) textLines.push(lineText);
           }
@@ -816,109 +985,601 @@ function parseAsciiDiagram(content) {
 
   // Filter out container boxes (boxes that fully enclose other boxes)
   // Keep only leaf nodes — containers are decorative grouping in ASCII art
-  const leafNodes = nodes.filter(node => {
-    const containsOther = nodes.some(other =>
-      other !== node &&
-      other.x > node.x && other.y > node.y &&
-      other.x + other.width < node.x + node.width &&
-      other.y + other.height < node.y + node.height
-    );
-    return !containsOther;
-  });
+  const encloses = (outer, inner) =>
+    inner !== outer &&
+    inner.x > outer.x && inner.y > outer.y &&
+    inner.x + inner.width < outer.x + outer.width &&
+    inner.y + inner.height < outer.y + outer.height;
+  const containers = nodes.filter(node => nodes.some(other => encloses(node, other)));
+  const leafNodes = nodes.filter(node => !containers.includes(node));
   nodes.length = 0;
   nodes.push(...leafNodes);
+  nodes.forEach((node, i) => { node.id = `node-${i}`; });
+
+  // Cell owners: index of the node whose box covers the cell, or -1. Container
+  // borders are neither boxes nor connectors; their insides hold the wiring.
+  const owner = Array.from({ length: height }, () => new Array(width).fill(-1));
+  const blocked = Array.from({ length: height }, () => new Array(width).fill(false));
+  nodes.forEach((n, i) => {
+    for (let y = n.y; y <= n.y + n.height; y++) {
+      for (let x = n.x; x <= n.x + n.width; x++) owner[y][x] = i;
+    }
+  });
+  for (const c of containers) {
+    for (let x = c.x; x <= c.x + c.width; x++) blocked[c.y][x] = blocked[c.y + c.height][x] = true;
+    for (let y = c.y; y <= c.y + c.height; y++) blocked[y][c.x] = blocked[y][c.x + c.width] = true;
+  }
+
+  const charAt = (x, y) => (grid[y] && grid[y][x]) || ' ';
+  const free = (x, y) => y >= 0 && y < height && x >= 0 && x < width && owner[y][x] < 0 && !blocked[y][x];
 
-  // Find edges: look for connector characters between boxes
+  // Label text written inline on a horizontal line (──── calls ───►) bridges the
+  // line: its cells count as line cells and carry the label
+  const inlineLabel = Array.from({ length: height }, () => new Array(width).fill(null));
+  for (let y = 0; y < height; y++) {
+    const row = (grid[y] || []).map((ch, x) => (free(x, y) ? ch : '\u0000')).join('');
+    for (const m of row.matchAll(/[─-]{2} ?([^\s─\-=<>│|┌┐└┘├┤┬┴┼+►◄▲▼\u0000][^─│|┌┐└┘├┤┬┴┼+►◄▲▼\u0000]*?) ?(?=[─-]{2})/g)) {
+      const start = m.index + 2;
+      const end = m.index + m[0].length;
+      for (let x = start; x < end; x++) inlineLabel[y][x] = m[1].trim();
+    }
+  }
+
+  // Sides a cell connects to: u, d, l, r
+  const directionsAt = (x, y) => {
+    if (!free(x, y)) return '';
+    if (inlineLabel[y][x] !== null) return 'lr';
+    const ch = charAt(x, y);
+    if (CONNECTOR_DIRECTIONS[ch]) return CONNECTOR_DIRECTIONS[ch];
+    const arrow = ARROWHEADS[ch];
+    if (!arrow) return '';
+    // ASCII arrowheads (v ^ > <) are letters or text unless a line leads into them
+    if (arrow.ascii) {
+      const [dx, dy] = STEP[arrow.from];
+      if (!(CONNECTOR_DIRECTIONS[charAt(x + dx, y + dy)] || '').includes(OPPOSITE[arrow.from]) || !free(x + dx, y + dy)) return '';
+    }
+    return arrow.from + arrow.to;
+  };
+  const linked = (x, y, dir) => {
+    const [dx, dy] = STEP[dir];
+    return directionsAt(x, y).includes(dir) && directionsAt(x + dx, y + dy).includes(OPPOSITE[dir]);
+  };
+  // Box next to a line cell in the given direction, or -1. A horizontal line
+  // may stop a few blank cells short of the border (| a | <--- | b |)
+  const boxBeside = (x, y, dir) => {
+    const [dx, dy] = STEP[dir];
+    const reach = dy === 0 ? 1 + MAX_HORIZONTAL_GAP : 1;
+    for (let step = 1; step <= reach; step++) {
+      const nx = x + dx * step;
+      const ny = y + dy * step;
+      const ni = owner[ny] ? owner[ny][nx] : -1;
+      if (ni !== undefined && ni >= 0) return ni;
+      if (!free(nx, ny) || charAt(nx, ny) !== ' ') return -1;
+    }
+    return -1;
+  };
+
+  // Trace each connected line (any mix of vertical, horizontal and routed
+  // segments) and note the boxes it touches and where its arrowheads point
   const edges = [];
-  const connectorChars = new Set(['│', '─', '┬', '┴', '├', '┤', '┼', '┌', '┐', '└', '┘']);
-
-  // Simple edge detection: find vertical connectors between box boundaries
-  for (let x = 0; x < width; x++) {
-    let lastBoxIdx = -1;
-    let hasConnector = false;
-    let labelText = '';
-
-    for (let y = 0; y < height; y++) {
-      const ch = grid[y] && grid[y][x] ? grid[y][x] : ' ';
-
-      // Check if we're at a box boundary
-      for (let ni = 0; ni < nodes.length; ni++) {
-        const n = nodes[ni];
-        if (x >= n.x && x <= n.x + n.width) {
-          if (y === n.y || y === n.y + n.height) {
-            if (lastBoxIdx >= 0 && lastBoxIdx !== ni && hasConnector) {
-              // Found an edge
-              const existingEdge = edges.find(
-                e => (e.from === nodes[lastBoxIdx].id && e.to === nodes[ni].id) ||
-                     (e.from === nodes[ni].id && e.to === nodes[lastBoxIdx].id)
-              );
-              if (!existingEdge) {
-                edges.push({
-                  from: nodes[lastBoxIdx].id,
-                  to: nodes[ni].id,
-                  label: labelText.trim() || null
-                });
-              }
-            }
-            lastBoxIdx = ni;
-            hasConnector = false;
-            labelText = '';
+  const seen = Array.from({ length: height }, () => new Array(width).fill(false));
+  for (let y0 = 0; y0 < height; y0++) {
+    for (let x0 = 0; x0 < width; x0++) {
+      if (seen[y0][x0] || !directionsAt(x0, y0)) continue;
+
+      const cells = [];
+      const stack = [[x0, y0]];
+      seen[y0][x0] = true;
+      while (stack.length > 0) {
+        const [x, y] = stack.pop();
+        cells.push([x, y]);
+        for (const dir of directionsAt(x, y)) {
+          const [dx, dy] = STEP[dir];
+          if (linked(x, y, dir) && !seen[y + dy][x + dx]) {
+            seen[y + dy][x + dx] = true;
+            stack.push([x + dx, y + dy]);
           }
         }
       }
 
-      if (!boxCells[y][x] && (ch === '│' || ch === '┬' || ch === '┴' || ch === '┤' || ch === '├')) {
-        hasConnector = true;
-        // Look for label text on the same line, to the right of connector
-        if (grid[y]) {
-          const restOfLine = lines[y] ? lines[y].substring(x + 1).trim() : '';
-          if (restOfLine && !connectorChars.has(restOfLine[0])) {
-            labelText = restOfLine.split(/[┌┐└┘│─┬┴├┤┼]/).filter(Boolean)[0] || '';
+      const touches = new Map();
+      const targets = new Set();
+      for (const [x, y] of cells) {
+        for (const dir of directionsAt(x, y)) {
+          const ni = boxBeside(x, y, dir);
+          if (ni < 0) continue;
+          // The side of the box the line meets: a line below the box meets its bottom
+          if (!touches.has(ni)) touches.set(ni, new Set());
+          touches.get(ni).add(OPPOSITE[dir]);
+        }
+      }
+      if (touches.size < 2) continue;
+
+      // Boxes an arrowhead points at, directly or further along the line
+      for (const [x, y] of cells) {
+        const arrow = ARROWHEADS[charAt(x, y)];
+        if (!arrow || inlineLabel[y][x] !== null || !directionsAt(x, y)) continue;
+        for (const ni of reachedFrom(x, y, arrow.to)) targets.add(ni);
+      }
+
+      const touched = [...touches.keys()].sort((a, b) => nodes[a].y - nodes[b].y || nodes[a].x - nodes[b].x);
+      let sources;
+      let sinks;
+      const directed = targets.size > 0 && targets.size < touched.length;
+      if (directed) {
+        sources = touched.filter(i => !targets.has(i));
+        sinks = touched.filter(i => targets.has(i));
+      } else {
+        // Undirected: flow leaves boxes from their bottom or right side
+        sources = touched.filter(i => touches.get(i).has('d') || touches.get(i).has('r'));
+        sinks = touched.filter(i => !sources.includes(i));
+        if (sources.length === 0 || sinks.length === 0) {
+          sources = touched.slice(0, 1);
+          sinks = touched.slice(1);
+        }
+      }
+
+      const label = lineLabel(cells);
+      for (const from of sources) {
+        for (const to of sinks) {
+          const existingEdge = edges.find(
+            e => (e.from === nodes[from].id && e.to === nodes[to].id) ||
+                 (e.from === nodes[to].id && e.to === nodes[from].id)
+          );
+          if (!existingEdge) {
+            edges.push({ from: nodes[from].id, to: nodes[to].id, label, directed });
           }
         }
       }
     }
   }
 
-  return { nodes, edges, raw };
+  /**
+   * Boxes reached from an arrowhead by following its line onward in the
+   * direction it points (without walking back through the arrowhead).
+   */
+  function reachedFrom(ax, ay, dir) {
+    const [dx, dy] = STEP[dir];
+    const start = [ax + dx, ay + dy];
+    const direct = boxBeside(ax, ay, dir);
+    if (direct >= 0) return [direct];
+    if (!linked(ax, ay, dir)) return [];
+
+    const reached = new Set();
+    const visited = new Set([`${ax},${ay}`, `${start[0]},${start[1]}`]);
+    const stack = [start];
+    while (stack.length > 0) {
+      const [x, y] = stack.pop();
+      for (const d of directionsAt(x, y)) {
+        const [sx, sy] = STEP[d];
+        const ni = boxBeside(x, y, d);
+        if (ni >= 0) reached.add(ni);
+        const key = `${x + sx},${y + sy}`;
+        if (linked(x, y, d) && !visited.has(key)) {
+          visited.add(key);
+          stack.push([x + sx, y + sy]);
+        }
+      }
+    }
+    return [...reached];
+  }
+
+  /**
+   * Label of a line: text written inline on it, else text to the right of a
+   * vertical segment, else text right above a horizontal segment.
+   */
+  function lineLabel(cells) {
+    for (const [x, y] of cells) {
+      if (inlineLabel[y][x]) return inlineLabel[y][x];
+    }
+
+    const isText = (x, y) => free(x, y) && !directionsAt(x, y) && !/\s/.test(charAt(x, y));
+    const ordered = [...cells].sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+    for (const [x, y] of ordered) {
+      if (directionsAt(x, y) !== 'ud' && directionsAt(x, y) !== 'du') continue;
+      let tx = x + 1;
+      while (tx < width && charAt(tx, y) === ' ' && free(tx, y)) tx++;
+      if (!isText(tx, y)) continue;
+      let text = '';
+      while (tx < width && free(tx, y) && !directionsAt(tx, y)) text += charAt(tx++, y);
+      if (text.trim()) return text.trim();
+    }
+
+    const horizontal = ordered.filter(([x, y]) => /^(lr|rl)$/.test(directionsAt(x, y)));
+    for (const [x, y] of horizontal) {
+      if (y === 0 || !isText(x, y - 1)) continue;
+      let start = x;
+      while (start > 0 && free(start - 1, y - 1) && !directionsAt(start - 1, y - 1) &&
+             !(charAt(start - 1, y - 1) === ' ' && charAt(start - 2, y - 1) === ' ')) start--;
+      let end = x;
+      while (end < width - 1 && free(end + 1, y - 1) && !directionsAt(end + 1, y - 1) &&
+             !(charAt(end + 1, y - 1) === ' ' && charAt(end + 2, y - 1) === ' ')) end++;
+      // Only text that sits over this line, not over a neighbouring box
+      const covered = horizontal.filter(([hx, hy]) => hy === y && hx >= start && hx <= end).length;
+      if (covered === end - start + 1) return grid[y - 1].slice(start, end + 1).join('').trim();
+    }
+    return null;
+  }
+
+  return { nodes, edges, raw, format: 'ascii' };
 }
 
+// Box outlines: Unicode square and rounded corners, and ASCII +--+ / |  |
+const BOX_STYLES = [
+  { topLeft: '┌', topRight: '┐', bottomLeft: '└', bottomRight: '┘', horizontal: '─┬┴┼', vertical: '│├┤┼' },
+  { topLeft: '╭', topRight: '╮', bottomLeft: '╰', bottomRight: '╯', horizontal: '─┬┴┼', vertical: '│├┤┼' },
+  { topLeft: '+', topRight: '+', bottomLeft: '+', bottomRight: '+', horizontal: '-=+', vertical: '|+' }
+];
+
+// Line characters outside boxes and the sides they connect (up, down, left, right)
+const CONNECTOR_DIRECTIONS = {
+  '│': 'ud', '|': 'ud', '║': 'ud', '─': 'lr', '-': 'lr', '═': 'lr', '=': 'lr',
+  '┬': 'lrd', '┴': 'lru', '├': 'udr', '┤': 'udl', '┼': 'udlr', '+': 'udlr',
+  '┌': 'rd', '╭': 'rd', '┐': 'ld', '╮': 'ld', '└': 'ru', '╰': 'ru', '┘': 'lu', '╯': 'lu'
+};
+
+// Arrowheads: the side their line comes from and the way they point
+const ARROWHEADS = {
+  '▼': { from: 'u', to: 'd' }, '▲': { from: 'd', to: 'u' }, '►': { from: 'l', to: 'r' }, '◄': { from: 'r', to: 'l' },
+  '▶': { from: 'l', to: 'r' }, '◀': { from: 'r', to: 'l' },
+  'v': { from: 'u', to: 'd', ascii: true }, '^': { from: 'd', to: 'u', ascii: true },
+  '>': { from: 'l', to: 'r', ascii: true }, '<': { from: 'r', to: 'l', ascii: true }
+};
+
+const STEP = { u: [0, -1], d: [0, 1], l: [-1, 0], r: [1, 0] };
+
+// Blank cells allowed between the end of a horizontal line and a box border
+const MAX_HORIZONTAL_GAP = 2;
+const OPPOSITE = { u: 'd', d: 'u', l: 'r', r: 'l' };
+
 /**
- * Trace a box from its top-left corner.
+ * Trace a box from its top-left corner. With ASCII boxes a `+` on the top or
+ * left edge may be a junction rather than a corner, so each candidate corner
+ * is tried in turn.
  */
-function traceBox(grid, startX, startY, used) {
+function traceBox(grid, startX, startY, used, style) {
   const height = grid.length;
+  const row = grid[startY] || [];
+
+  for (let x2 = startX + 1; x2 < row.length && (style.horizontal.includes(row[x2]) || row[x2] === style.topRight); x2++) {
+    if (row[x2] !== style.topRight || !grid[startY + 1] || !style.vertical.includes(grid[startY + 1][x2] || ' ')) continue;
+
+    for (let y2 = startY + 1; y2 < height && grid[y2] && (style.vertical.includes(grid[y2][startX]) || grid[y2][startX] === style.bottomLeft); y2++) {
+      if (grid[y2][startX] !== style.bottomLeft || y2 === startY + 1) continue;
+      if (!style.horizontal.includes(grid[y2][startX + 1] || ' ') && grid[y2][startX + 1] !== style.bottomRight) continue;
+      if (grid[y2][x2] !== style.bottomRight) continue;
+
+      // Mark used
+      for (let y = startY; y <= y2; y++) {
+        for (let x = startX; x <= x2; x++) {
+          if (used[y]) used[y][x] = true;
+        }
+      }
+      return { x: startX, y: startY, x2, y2 };
+    }
+    // Unicode corners are unambiguous: the first ┐ closes the top edge
+    if (style.topRight !== '+') return null;
+  }
+  return null;
+}
+
+// Mermaid node shapes: opening delimiter and its closing delimiters, longest first
+const MERMAID_SHAPES = [
+  ['(((', [')))']], ['([', ['])']], ['[(', [')]']], ['[[', [']]']], ['[/', ['/]', '\\]']], ['[\\', ['\\]', '/]']],
+  ['((', ['))']], ['{{', ['}}']], ['[', [']']], ['(', [')']], ['{', ['}']], ['>', [']']]
+];
+
+// Mermaid link: "-- text -->" style, or an arrow optionally followed by |text|
+const MERMAID_LINK = /(<)?(?:(--|==|-\.)\s+(.+?)\s+(-{2,}|={2,}|\.-+)(>|[ox](?=\s))?|(-{2,}|={2,}|-\.+-|~{3,})(>|[ox](?=\s))?)(?:\s*\|([^|]*)\|)?/g;
+
+// Mermaid statements that declare no nodes or links
+const MERMAID_IGNORED = /^(?:end|direction|classDef|class|style|linkStyle|click|accTitle|accDescr)\b/;
+
+/**
+ * Turn a diagram label into display lines: strips quotes and markdown-string
+ * backticks, and breaks on <br> and literal \n.
+ */
+function diagramLabelLines(text) {
+  return String(text)
+    .replace(/^"([\s\S]*)"$/, '$1')
+    .replace(/^`([\s\S]*)`$/, '$1')
+    .split(/<br\s*\/?>|\\n/i)
+    .map(l => l.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Collects nodes and edges in the shape parseAsciiDiagram produces, keyed by
+ * the notation's own identifiers.
+ */
+function createDiagramBuilder() {
+  const nodes = [];
+  const edges = [];
+  const byKey = new Map();
+
+  return {
+    nodes,
+    edges,
+    node(key, label) {
+      let node = byKey.get(key);
+      if (!node) {
+        node = { id: `node-${nodes.length}`, label: key, content: key, type: 'default', x: 0, y: 0, width: 0, height: 0 };
+        nodes.push(node);
+        byKey.set(key, node);
+      }
+      const lines = label === undefined ? [] : diagramLabelLines(label);
+      if (lines.length > 0) {
+        node.label = lines[0];
+        node.content = lines.join('\n');
+      }
+      return node;
+    },
+    edge(from, to, label, directed) {
+      if (from === to) return;
+      const exists = edges.some(e => (e.from === from.id && e.to === to.id) || (e.from === to.id && e.to === from.id));
+      if (!exists) edges.push({ from: from.id, to: to.id, label: label ? diagramLabelLines(label).join(' ') || null : null, directed });
+    }
+  };
+}
+
+/**
+ * Give nodes grid positions and sizes in the character units of ASCII
+ * diagrams, so renderDiagramSVG draws them the same way. Nodes are layered
+ * top-down by longest path from the sources (edges closing a cycle are
+ * ignored), and each layer is ordered by the mean position of its parents.
+ */
+function layoutDiagram(nodes, edges) {
+  const outgoing = new Map(nodes.map(n => [n.id, []]));
+  const incoming = new Map(nodes.map(n => [n.id, []]));
+  for (const e of edges) {
+    outgoing.get(e.from).push(e);
+    incoming.get(e.to).push(e);
+  }
+
+  // Depth-first postorder gives a topological order of the acyclic part
+  const state = new Map();
+  const backEdges = new Set();
+  const order = [];
+  const visit = id => {
+    state.set(id, 'visiting');
+    for (const e of outgoing.get(id)) {
+      if (state.get(e.to) === 'visiting') backEdges.add(e);
+      else if (!state.has(e.to)) visit(e.to);
+    }
+    state.set(id, 'done');
+    order.push(id);
+  };
+  for (const n of nodes) if (!state.has(n.id)) visit(n.id);
 
-  const topEdgeChars = new Set(['─', '┬', '┴', '┼']);
-  const leftEdgeChars = new Set(['│', '├', '┤', '┼']);
+  const layerOf = new Map(nodes.map(n => [n.id, 0]));
+  for (const id of order.reverse()) {
+    for (const e of outgoing.get(id)) {
+      if (!backEdges.has(e)) layerOf.set(e.to, Math.max(layerOf.get(e.to), layerOf.get(id) + 1));
+    }
+  }
 
-  // Find top-right corner (┐)
-  let x2 = startX + 1;
-  while (x2 < (grid[startY] ? grid[startY].length : 0) && grid[startY][x2] !== '┐') {
-    if (!topEdgeChars.has(grid[startY][x2])) return null;
-    x2++;
+  const layers = [];
+  for (const n of nodes) {
+    const lines = n.content.split('\n');
+    n.width = Math.max(10, ...lines.map(l => l.length + 4));
+    n.height = lines.length + 1;
+    (layers[layerOf.get(n.id)] = layers[layerOf.get(n.id)] || []).push(n);
   }
-  if (x2 >= (grid[startY] ? grid[startY].length : 0)) return null;
 
-  // Find bottom-left corner (└)
-  let y2 = startY + 1;
-  while (y2 < height && grid[y2] && grid[y2][startX] !== '└') {
-    if (!leftEdgeChars.has(grid[y2][startX])) return null;
-    y2++;
+  const position = new Map();
+  const gap = 4;
+  const rowWidths = [];
+  layers.forEach((layer, i) => {
+    if (i > 0) {
+      const center = n => {
+        const parents = incoming.get(n.id).map(e => position.get(e.from)).filter(p => p !== undefined);
+        return parents.length > 0 ? parents.reduce((a, b) => a + b, 0) / parents.length : Infinity;
+      };
+      layer.sort((a, b) => center(a) - center(b));
+    }
+    layer.forEach((n, j) => position.set(n.id, j));
+    rowWidths.push(layer.reduce((sum, n) => sum + n.width, 0) + gap * (layer.length - 1));
+  });
+
+  const maxWidth = Math.max(...rowWidths, 0);
+  let y = 0;
+  layers.forEach((layer, i) => {
+    let x = Math.floor((maxWidth - rowWidths[i]) / 2);
+    for (const n of layer) {
+      n.x = x;
+      n.y = y;
+      x += n.width + gap;
+    }
+    y += Math.max(...layer.map(n => n.height)) + gap;
+  });
+}
+
+/**
+ * Parse a Mermaid flowchart (`flowchart TD` / `graph LR` …) into diagram
+ * nodes and edges. Handles the node shapes, chained links (A --> B --> C),
+ * `&` groups, labelled links (-->|text| and -- text -->) and reversed
+ * arrows; subgraphs only group nodes and are not drawn. Other Mermaid
+ * diagram kinds yield no nodes, so the plan view shows the source instead.
+ *
+ * @param {string} source - Body of the mermaid code block
+ * @returns {{nodes: Array, edges: Array, raw: string, format: string}}
+ */
+function parseMermaidDiagram(source) {
+  const diagram = createDiagramBuilder();
+  const lines = source.split('\n').map(l => l.replace(/%%.*$/, '').trim()).filter(Boolean);
+
+  if (lines.length > 0 && /^(flowchart|graph)\b/.test(lines[0])) {
+    const shapeOpeners = MERMAID_SHAPES.map(([open]) => open);
+    for (const line of lines.slice(1)) {
+      // Replace every "id<shape>label<close>" by its id, remembering the label
+      const labels = new Map();
+      let masked = '';
+      let i = 0;
+      while (i < line.length) {
+        const idMatch = /^[\p{L}\p{N}_]+/u.exec(line.slice(i));
+        if (!idMatch || (i > 0 && /[\p{L}\p{N}_]/u.test(line[i - 1]))) {
+          masked += line[i++];
+          continue;
+        }
+        const id = idMatch[0];
+        let j = i + id.length;
+        const opener = shapeOpeners.find(open => line.startsWith(open, j));
+        if (opener && !(opener === '>' && /^>\s/.test(line.slice(j)))) {
+          const closers = MERMAID_SHAPES.find(([open]) => open === opener)[1];
+          let k = j + opener.length;
+          const quoted = line[k] === '"' ? line.indexOf('"', k + 1) : -1;
+          if (quoted > 0) k = quoted + 1;
+          const ends = closers.map(c => line.indexOf(c, k)).filter(e => e >= 0);
+          if (ends.length > 0) {
+            const end = Math.min(...ends);
+            const closer = closers.find(c => line.startsWith(c, end));
+            labels.set(id, line.slice(j + opener.length, end).trim());
+            j = end + closer.length;
+          }
+        }
+        masked += id;
+        i = j;
+      }
+      masked = masked.replace(/:::[\w-]+/g, '').replace(/@\{[^}]*\}/g, '');
+
+      for (const statement of masked.split(';').map(s => s.trim()).filter(Boolean)) {
+        if (MERMAID_IGNORED.test(statement)) continue;
+        if (/^subgraph\b/.test(statement)) continue;
+
+        // Alternate node groups and links: A & B --> C -- text --> D
+        const groups = [];
+        const links = [];
+        let last = 0;
+        MERMAID_LINK.lastIndex = 0;
+        let match;
+        while ((match = MERMAID_LINK.exec(statement)) !== null) {
+          groups.push(statement.slice(last, match.index));
+          const head = Boolean(match[5] || match[7]);
+          links.push({
+            reversed: Boolean(match[1]) && !head,
+            directed: Boolean(match[1]) !== head,
+            label: match[8] !== undefined ? match[8] : match[3]
+          });
+          last = MERMAID_LINK.lastIndex;
+        }
+        groups.push(statement.slice(last));
+
+        const resolved = groups.map(group => group.split('&').map(s => s.trim()).filter(s => /^[\p{L}\p{N}_]+$/u.test(s)));
+        if (resolved.some(ids => ids.length === 0)) continue;
+        const nodesOf = ids => ids.map(id => diagram.node(id, labels.get(id)));
+        for (let g = 0; g < resolved.length; g++) {
+          const current = nodesOf(resolved[g]);
+          if (g === 0) continue;
+          const previous = nodesOf(resolved[g - 1]);
+          const link = links[g - 1];
+          for (const a of previous) {
+            for (const b of current) {
+              if (link.reversed) diagram.edge(b, a, link.label, link.directed);
+              else diagram.edge(a, b, link.label, link.directed);
+            }
+          }
+        }
+      }
+    }
   }
-  if (y2 >= height) return null;
 
-  // Verify bottom-right corner (┘)
-  if (!grid[y2] || grid[y2][x2] !== '┘') return null;
+  layoutDiagram(diagram.nodes, diagram.edges);
+  return { nodes: diagram.nodes, edges: diagram.edges, raw: source, format: 'mermaid' };
+}
+
+// PlantUML element keywords that declare a component-diagram node
+const PLANTUML_ELEMENTS = [
+  'component', 'interface', 'database', 'node', 'cloud', 'actor', 'person', 'queue', 'storage',
+  'artifact', 'file', 'folder', 'frame', 'package', 'rectangle', 'collections', 'agent', 'boundary',
+  'control', 'entity', 'card', 'hexagon', 'stack', 'usecase', 'process'
+];
+
+// An element reference: [Label], () "Label", () Name, :Actor:, "Label" or a plain name
+const PLANTUML_REF = String.raw`(\[[^\]]+\]|\(\)\s*"[^"]+"|\(\)\s*\w+(?:\.\w+)*|:[^:]+:|"[^"]+"|\w+(?:\.\w+)*)`;
+const PLANTUML_RELATION = new RegExp(
+  String.raw`^${PLANTUML_REF}\s*(<\|?|\*|o|#|\+)?([-.=~]+(?:\[[^\]]*\][-.=~]*)?(?:(?:up|down|left|right|u|d|l|r)[-.=~]+)?)(\|?>|\*|o|#|\+)?\s*${PLANTUML_REF}\s*(?::\s*(.+))?$`
+);
+const PLANTUML_DECLARATION = new RegExp(
+  String.raw`^(?:(${PLANTUML_ELEMENTS.join('|')})\s+)?${PLANTUML_REF}(?:\s+as\s+("[^"]+"|\w+(?:\.\w+)*))?\s*(.*)$`
+);
+
+/**
+ * Parse a PlantUML component diagram into diagram nodes and edges. Elements
+ * may be declared with a keyword (component, database, cloud …) or the
+ * [Label] / () Name shorthands, optionally aliased with `as`; relations use
+ * any arrow style (-->, ..>, -up->, <--) with an optional ": label".
+ * Packages and other `{ … }` containers only group elements and are not drawn.
+ *
+ * @param {string} source - Body of the plantuml code block
+ * @returns {{nodes: Array, edges: Array, raw: string, format: string}}
+ */
+function parsePlantUmlDiagram(source) {
+  const diagram = createDiagramBuilder();
+  const aliases = new Map();
+
+  const refKey = ref => {
+    const text = ref.trim();
+    if (aliases.has(text)) return aliases.get(text);
+    return text.replace(/^\(\)\s*/, '').replace(/^\[([\s\S]*)\]$/, '$1').replace(/^:([\s\S]*):$/, '$1').replace(/^"([\s\S]*)"$/, '$1').trim();
+  };
 
-  // Mark used
-  for (let y = startY; y <= y2; y++) {
-    for (let x = startX; x <= x2; x++) {
-      if (used[y]) used[y][x] = true;
+  let skipUntil = null;
+  for (const rawLine of source.split('\n')) {
+    const line = rawLine.trim();
+    if (skipUntil) {
+      if (skipUntil.test(line)) skipUntil = null;
+      continue;
+    }
+    if (!line || line.startsWith("'") || line.startsWith('!') || line.startsWith('@') || line === '}') continue;
+    if (line.startsWith("/'")) {
+      if (!line.includes("'/")) skipUntil = /'\/\s*$/;
+      continue;
+    }
+    if (/^(?:r|h)?note\b/.test(line)) {
+      if (!line.includes(':')) skipUntil = /^end\s*(?:r|h)?note\b/;
+      continue;
+    }
+    if (/^legend\b/.test(line)) { skipUntil = /^endlegend\b/; continue; }
+    if (/^skinparam\b/.test(line)) {
+      if (line.endsWith('{')) skipUntil = /^\}/;
+      continue;
     }
+    if (/^(?:title|header|footer|caption|scale|hide|show|left to right|top to bottom|together|remove)\b/.test(line)) continue;
+
+    const relation = PLANTUML_RELATION.exec(line);
+    if (relation) {
+      const [, left, leftHead, arrow, rightHead, right, label] = relation;
+      const from = diagram.node(refKey(left));
+      const to = diagram.node(refKey(right));
+      // -[hidden]-> only steers PlantUML's layout
+      if (arrow.includes('hidden')) continue;
+      const directed = Boolean(leftHead) !== Boolean(rightHead);
+      if (leftHead && leftHead.startsWith('<') && !rightHead) diagram.edge(to, from, label, directed);
+      else diagram.edge(from, to, label, directed);
+      continue;
+    }
+
+    const declaration = PLANTUML_DECLARATION.exec(line);
+    if (!declaration) continue;
+    const [, keyword, name, alias, rest] = declaration;
+    const isShorthand = /^(\[|\(\)|:)/.test(name);
+    if (!keyword && !isShorthand) continue;
+    // A { … } container groups its children and is not a node itself
+    if (rest.trim().endsWith('{')) continue;
+
+    const nameText = refKey(name);
+    const aliasText = alias ? alias.replace(/^"([\s\S]*)"$/, '$1') : null;
+    // "component Label as A" aliases Label to A; "component A as "Label"" labels A
+    const quotedAlias = alias && alias.startsWith('"');
+    const key = aliasText ? (quotedAlias ? nameText : aliasText) : nameText;
+    const label = aliasText && quotedAlias ? aliasText : nameText;
+    diagram.node(key, label);
+    aliases.set(name.trim(), key);
+    if (aliasText) aliases.set(aliasText, key);
   }
 
-  return { x: startX, y: startY, x2, y2 };
+  layoutDiagram(diagram.nodes, diagram.edges);
+  return { nodes: diagram.nodes, edges: diagram.edges, raw: source, format: 'plantuml' };
 }
 
 /**
@@ -932,7 +1593,7 @@ function parseTesslJson(projectPath) {
   if (!fs.existsSync(tesslPath)) return [];
 
   try {
-    const content = fs.readFileSync(tesslPath, 'utf-8');
+    const content = readText(tesslPath);
     const json = JSON.parse(content);
     if (!json.dependencies || typeof json.dependencies !== 'object') return [];
 
@@ -997,24 +1658,64 @@ function parseResearchDecisions(content) {
   return decisions;
 }
 
+/**
+ * Split a Gherkin table row ("| a | b |") into trimmed cells, honouring "\\|" escapes.
+ *
+ * @param {string} row - Trimmed table row
+ * @returns {string[]}
+ */
+function splitGherkinRow(row) {
+  return row
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
 /**
  * Parse Gherkin .feature file content to extract test specification entries.
  * Collects @tags before Scenario:/Scenario Outline: lines.
  * Tags: @TS-XXX (id), @P1/@P2/@P3 (priority), @acceptance/@contract/@validation (type),
  *        @FR-XXX/@SC-XXX (traceability — @US-XXX filtered out).
  *
+ * Rows of a Scenario Outline's Examples: tables become concrete test cases in
+ * the outline's `examples` array, keyed by the table header and identified as
+ * "<TS-ID>#<n>" (numbered across all Examples blocks of the outline).
+ *
  * @param {string} content - Raw content of one or more .feature files
- * @returns {Array<{id: string, title: string, type: string, priority: string, traceability: string[]}>}
+ * @param {string} [file] - Source path recorded on each scenario (e.g. "specs/001-auth/tests/features/login.feature")
+ * @returns {Array<{id: string, title: string, type: string, priority: string, traceability: string[], examples: Array<{id: string, parentId: string, values: Object<string, string>, source: Object}>, source: {file: string|null, line: number, column: number}}>}
  */
-function parseTestSpecs(content) {
+function parseTestSpecs(content, file = null) {
   if (!content || typeof content !== 'string') return [];
 
   const specs = [];
   const lines = content.split('\n');
   let pendingTags = [];
+  let outline = null;         // Scenario Outline spec that Examples rows attach to
+  let examplesHeader = null;  // null = not in an Examples table; [] = expecting header row
 
-  for (const line of lines) {
-    const trimmed = line.trim();
+  for (let lineIdx = 0; lineIdx < lines.length; lineIdx++) {
+    const trimmed = lines[lineIdx].trim();
+
+    // Examples table rows: first row is the header, the rest are concrete cases
+    if (examplesHeader && trimmed.startsWith('|')) {
+      const cells = splitGherkinRow(trimmed);
+      if (examplesHeader.length === 0) {
+        examplesHeader = cells;
+      } else {
+        const values = {};
+        examplesHeader.forEach((name, i) => { values[name] = cells[i] !== undefined ? cells[i] : ''; });
+        outline.examples.push({
+          id: `${outline.id}#${outline.examples.length + 1}`,
+          parentId: outline.id,
+          values,
+          source: { file, line: lineIdx + 1, column: indentColumn(lines[lineIdx]) }
+        });
+      }
+      continue;
+    }
+    if (examplesHeader && trimmed && !trimmed.startsWith('#')) examplesHeader = null;
 
     // Collect tag lines (may have multiple tags per line)
     if (trimmed.startsWith('@')) {
@@ -1024,9 +1725,10 @@ function parseTestSpecs(content) {
     }
 
     // Match Scenario or Scenario Outline
-    const scenarioMatch = trimmed.match(/^Scenario(?: Outline)?:\s*(.+)/);
+    const scenarioMatch = trimmed.match(/^Scenario( Outline)?:\s*(.+)/);
+    if (scenarioMatch) outline = null;
     if (scenarioMatch && pendingTags.length > 0) {
-      const title = scenarioMatch[1].trim();
+      const title = scenarioMatch[2].trim();
 
       // Extract id from @TS-XXX
       const idTag = pendingTags.find(t => /^@TS-\d+$/.test(t));
@@ -1046,15 +1748,23 @@ function parseTestSpecs(content) {
         .filter(t => /^@(FR|SC)-\d+$/.test(t))
         .map(t => t.slice(1));
 
-      specs.push({ id, title, type, priority, traceability });
+      const spec = { id, title, type, priority, traceability, examples: [], source: { file, line: lineIdx + 1, column: indentColumn(lines[lineIdx]) } };
+      specs.push(spec);
+      if (scenarioMatch[1]) outline = spec;
+      pendingTags = [];
+      continue;
+    }
+
+    if (/^(Examples|Scenarios):/.test(trimmed)) {
+      if (outline) examplesHeader = [];
       pendingTags = [];
       continue;
     }
 
-    // Skip Background:, Rule:, Feature:, Examples: — just reset tags on non-tag, non-scenario lines
-    if (trimmed.startsWith('Feature:') || trimmed.startsWith('Background:') ||
-        trimmed.startsWith('Rule:') || trimmed.startsWith('Examples:')) {
+    // Skip Background:, Rule:, Feature: — just reset tags on non-tag, non-scenario lines
+    if (trimmed.startsWith('Feature:') || trimmed.startsWith('Background:') || trimmed.startsWith('Rule:')) {
       pendingTags = [];
+      outline = null;
     }
   }
 
@@ -1079,30 +1789,59 @@ function parseTaskTestRefs(tasks) {
 }
 
 /**
- * Extract a markdown section by heading (## Title), returning content until next ## heading.
+ * Locate a markdown section by heading (## Title).
+ * Returns the untrimmed body until the next ## heading and the 1-based line
+ * number on which that body starts, or null when the section is missing.
  */
-function extractSection(content, heading) {
+function locateSection(content, heading) {
   const regex = new RegExp(`^## ${heading}\\s*$`, 'm');
   const match = content.match(regex);
   if (!match) return null;
 
   const start = match.index + match[0].length;
   const nextSection = content.indexOf('\n## ', start);
-  return content.substring(start, nextSection >= 0 ? nextSection : content.length).trim();
+  return {
+    text: content.substring(start, nextSection >= 0 ? nextSection : content.length),
+    firstLine: createLineLocator(content)(start)
+  };
 }
 
 /**
- * Parse rows from a pipe-delimited markdown table.
- * Returns array of arrays (one per row, cells trimmed). Skips header separator row (|---|).
+ * Extract a markdown section by heading (## Title), returning content until next ## heading.
  */
-function parseMarkdownTable(text) {
-  const lines = text.split('\n').filter(l => l.trim().startsWith('|'));
+function extractSection(content, heading) {
+  const section = locateSection(content, heading);
+  return section ? section.text.trim() : null;
+}
+
+/**
+ * Parse rows from a pipe-delimited markdown table, keeping each row's line number.
+ * Skips header row and separator row (|---|).
+ *
+ * @param {string} text - Text containing the table
+ * @param {number} [firstLine=1] - Line number of the first line of text
+ * @returns {Array<{cells: string[], line: number, column: number}>}
+ */
+function parseMarkdownTableRows(text, firstLine = 1) {
+  const lines = text.split('\n')
+    .map((l, i) => ({ text: l, line: firstLine + i }))
+    .filter(l => l.text.trim().startsWith('|'));
   if (lines.length < 2) return [];
 
   // Skip header row (index 0) and separator row (index 1)
-  return lines.slice(2).map(line =>
-    line.split('|').slice(1, -1).map(cell => cell.trim())
-  ).filter(cells => cells.length > 0 && cells.some(c => c !== ''));
+  return lines.slice(2).map(l => ({
+    cells: l.text.split('|').slice(1, -1).map(cell => cell.trim()),
+    line: l.line,
+    column: indentColumn(l.text)
+  })).filter(row => row.cells.length > 0 && row.cells.some(c => c !== ''));
+}
+
+/**
+ * Parse rows from a pipe-delimited markdown table.
+ * Returns array of arrays (one per row, cells trimmed). Skips header separator row (|---|).
+ */
+function parseMarkdownTable(text) {
+  return parseMarkdownTableRows(text).map(row => row.cells);
 }
 
 /**
@@ -1110,18 +1849,19 @@ function parseMarkdownTable(text) {
  * Extracts issues with id, category, severity, resolved, location, summary, recommendation.
  *
  * @param {string} content - Raw analysis.md content
- * @returns {Array<{id: string, category: string, severity: string, resolved: boolean, location: string, summary: string, recommendation: string}>}
+ * @param {string} [file] - Source path recorded on each finding
+ * @returns {Array<{id: string, category: string, severity: string, resolved: boolean, location: string, summary: string, recommendation: string, source: {file: string|null, line: number, column: number}}>}
  */
-function parseAnalysisFindings(content) {
+function parseAnalysisFindings(content, file = null) {
   if (!content || typeof content !== 'string') return [];
 
-  const section = extractSection(content, 'Findings');
-  if (!section) return [];
+  const section = locateSection(content, 'Findings');
+  if (!section || !section.text.trim()) return [];
 
-  const rows = parseMarkdownTable(section);
+  const rows = parseMarkdownTableRows(section.text, section.firstLine);
   if (rows.length === 0) return [];
 
-  return rows.map(cells => {
+  return rows.map(({ cells, line, column }) => {
     if (cells.length < 6) return null;
 
     const rawSeverity = cells[2];
@@ -1137,7 +1877,8 @@ function parseAnalysisFindings(content) {
       resolved,
       location: cells[3],
       summary: cells[4],
-      recommendation: cells[5]
+      recommendation: cells[5],
+      source: { file, line, column }
     };
   }).filter(Boolean);
 }
@@ -1148,7 +1889,8 @@ function parseAnalysisFindings(content) {
  * detailed (Requirement, Has Task?, Task IDs, Has Test?, Test IDs, Status) formats.
  *
  * @param {string} content - Raw analysis.md content
- * @returns {Array<{id: string, hasTask: boolean, taskIds: string[], hasTest: boolean, testIds: string[], status: string|null, notes: string}>}
+ * @returns {Array<{id: string, hasTask: boolean, taskIds: string[], hasTest?: boolean, testIds: string[], status: string|null, notes: string}>}
+ *   hasTest is absent in the simple format, which does not report tests.
  */
 function parseAnalysisCoverage(content) {
   if (!content || typeof content !== 'string') return [];
@@ -1185,7 +1927,7 @@ function parseAnalysisCoverage(content) {
     } else {
       // Simple: Requirement | Has Task? | Notes
       const notes = cells[2] || '';
-      return { id, hasTask, taskIds: [], hasTest: false, testIds: [], status: null, notes };
+      return { id, hasTask, taskIds: [], testIds: [], status: null, notes };
     }
   });
 }
@@ -1204,13 +1946,13 @@ function parseIdList(cell) {
  * Handles both table format (| Metric | Value |) and bullet format (- Metric: Value).
  *
  * @param {string} content - Raw analysis.md content
- * @returns {{totalRequirements: number, totalTasks: number, totalTestSpecs: number, requirementCoverage: string, requirementCoveragePct: number, testCoverage: string|null, testCoveragePct: number, criticalIssues: number, highIssues: number, mediumIssues: number, lowIssues: number}}
+ * @returns {{totalRequirements: number, totalTasks: number, totalTestSpecs: number, requirementCoverage: string, requirementCoveragePct: number, testCoverage: string|null, testCoveragePct: number|null, criticalIssues: number, highIssues: number, mediumIssues: number, lowIssues: number}}
  */
 function parseAnalysisMetrics(content) {
   const defaults = {
     totalRequirements: 0, totalTasks: 0, totalTestSpecs: 0,
     requirementCoverage: '', requirementCoveragePct: 0,
-    testCoverage: null, testCoveragePct: 100,
+    testCoverage: null, testCoveragePct: null,
     criticalIssues: 0, highIssues: 0, mediumIssues: 0, lowIssues: 0
   };
   if (!content || typeof content !== 'string') return defaults;
@@ -1264,7 +2006,7 @@ function parseAnalysisMetrics(content) {
     requirementCoverage: reqCovRaw || '',
     requirementCoveragePct: extractPct(reqCovRaw) || 0,
     testCoverage: testCovRaw || null,
-    testCoveragePct: testCovRaw ? (extractPct(testCovRaw) || 0) : 100,
+    testCoveragePct: testCovRaw ? (extractPct(testCovRaw) || 0) : null,
     criticalIssues: parseInt(findValue(['critical']) || '0', 10),
     highIssues: parseInt(findValue(['high']) || '0', 10),
     mediumIssues: parseInt(findValue(['medium']) || '0', 10),
@@ -1333,15 +2075,16 @@ function parsePhaseSeparation(content) {
  * Permissive parsing — returns [] on missing/empty/malformed input.
  *
  * @param {string} content - Raw markdown content of bugs.md
- * @returns {Array<{id: string, reported: string|null, severity: string, status: string, githubIssue: string|null, description: string|null, rootCause: string|null, fixReference: string|null}>}
+ * @param {string} [file] - Source path recorded on each bug
+ * @returns {Array<{id: string, reported: string|null, severity: string, status: string, githubIssue: string|null, description: string|null, rootCause: string|null, fixReference: string|null, source: {file: string|null, line: number, column: number}}>}
  */
-function parseBugs(content) {
+function parseBugs(content, file = null) {
   if (!content || typeof content !== 'string') return [];
 
   const validSeverities = new Set(['critical', 'high', 'medium', 'low']);
   const validStatuses = new Set(['reported', 'fixed']);
 
-  const headingRegex = /^## (BUG-\d+)\s*$/gm;
+  const headingRegex = new RegExp(GRAMMAR.bugHeading.source, 'gm');
   const bugStarts = [];
   let match;
 
@@ -1350,6 +2093,7 @@ function parseBugs(content) {
   }
 
   const bugs = [];
+  const locate = createPositionLocator(content);
 
   for (let i = 0; i < bugStarts.length; i++) {
     const start = bugStarts[i].index;
@@ -1364,7 +2108,8 @@ function parseBugs(content) {
       githubIssue: extractField(section, 'GitHub Issue'),
       description: extractField(section, 'Description'),
       rootCause: extractField(section, 'Root Cause'),
-      fixReference: extractField(section, 'Fix Reference')
+      fixReference: extractField(section, 'Fix Reference'),
+      source: { file, ...locate(start) }
     };
 
     // Validate severity
@@ -1398,4 +2143,4 @@ function extractField(section, fieldName) {
   return value;
 }
 
-module.exports = { parseSpecStories, parseTasks, parseChecklists, parseChecklistsDetailed, parseConstitutionTDD, hasClarifications, countClarifications, countClarificationSessions: countClarifications, parseConstitutionPrinciples, parsePremise, parseRequirements, parseSuccessCriteria, parseClarifications, parseStoryRequirementRefs, parseTechContext, parseFileStructure, parseAsciiDiagram, parseTesslJson, parseResearchDecisions, parseTestSpecs, parseTaskTestRefs, parseAnalysisFindings, parseAnalysisCoverage, parseAnalysisMetrics, parseConstitutionAlignment, parsePhaseSeparation, parseBugs };
+module.exports = { GRAMMAR, createPositionLocator, createLineLocator, toSourcePath, parseSpecStories, parseTaskPhases, parseTasks, parseChecklists, parseChecklistsDetailed, parseConstitutionTDD, hasClarifications, countClarifications, countClarificationSessions: countClarifications, parseConstitutionPrinciples, parsePremise, parseRequirements, parseSuccessCriteria, parseClarifications, parseStoryRequirementRefs, parseTechContext, parseFileStructure, parseAsciiDiagram, parseArchitectureDiagram, parseMermaidDiagram, parsePlantUmlDiagram, parseTesslJson, parseResearchDecisions, parseTestSpecs, parseTaskTestRefs, locateSection, parseMarkdownTableRows, parseAnalysisFindings, parseAnalysisCoverage, parseAnalysisMetrics, parseConstitutionAlignment, parsePhaseSeparation, parseBugs };
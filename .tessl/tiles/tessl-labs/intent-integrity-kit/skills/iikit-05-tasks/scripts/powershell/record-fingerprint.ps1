@@ -0,0 +1,132 @@
+#!/usr/bin/env pwsh
+# Record the upstream fingerprint of a pipeline phase in the feature's context.json
+#
+# Run by a phase skill right after it writes its artifact. The fingerprint is
+# the SHA256 of the artifact and of each upstream input it was derived from;
+# the dashboard marks the phase stale once an input's content changes.
+
+[CmdletBinding()]
+param(
+    [Parameter(Position = 0)]
+    [string]$Phase,
+    [Parameter(Position = 1)]
+    [string]$Feature,
+    [switch]$Json,
+    [switch]$Help
+)
+
+$ErrorActionPreference = 'Stop'
+
+if ($Help) {
+    Write-Output @"
+Usage: record-fingerprint.ps1 [-Json] <phase> [feature]
+
+Record the upstream fingerprint of a pipeline phase in <featuresDir>/<feature>/context.json,
+where featuresDir comes from .specify/dashboard.config.json (default: specs).
+The feature defaults to the active feature.
+
+PHASE:
+  spec     spec.md     (input: CONSTITUTION.md)
+  plan     plan.md     (input: spec.md)
+  tasks    tasks.md    (inputs: spec.md, plan.md)
+  analyze  analysis.md (inputs: spec.md, plan.md, tasks.md)
+
+OPTIONS:
+  -Json      Output in JSON format
+  -Help      Show this help message
+
+EXAMPLES:
+  .\record-fingerprint.ps1 plan
+  .\record-fingerprint.ps1 -Json tasks 001-user-auth
+
+"@
+    exit 0
+}
+
+. "$PSScriptRoot/common.ps1"
+
+$repoRoot = Get-RepoRoot
+
+# Features live under the dashboard's configured featuresDir, as in dashboard/src/config.js
+$featuresDir = 'specs'
+$configFile = Join-Path $repoRoot '.specify' 'dashboard.config.json'
+if (Test-Path $configFile -PathType Leaf) {
+    try {
+        $config = Get-Content $configFile -Raw | ConvertFrom-Json
+        if ($config.featuresDir) { $featuresDir = ($config.featuresDir -replace '\\', '/' -replace '^\./', '').TrimEnd('/') }
+    } catch {
+        # malformed config — the dashboard reports it; keep the default here
+    }
+}
+
+if (-not $Feature) {
+    $Feature = Read-ActiveFeature -RepoRoot $repoRoot
+}
+if (-not $Feature -or -not (Test-Path (Join-Path $repoRoot $featuresDir $Feature) -PathType Container)) {
+    Write-Error "No feature found. Pass a feature directory name or set the active feature."
+    exit 1
+}
+
+# Must stay in sync with UPSTREAM / phaseArtifacts in dashboard/src/staleness.js
+$featureRel = "$featuresDir/$Feature"
+switch ($Phase) {
+    'spec'    { $artifact = "$featureRel/spec.md";     $inputs = @('CONSTITUTION.md') }
+    'plan'    { $artifact = "$featureRel/plan.md";     $inputs = @("$featureRel/spec.md") }
+    'tasks'   { $artifact = "$featureRel/tasks.md";    $inputs = @("$featureRel/spec.md", "$featureRel/plan.md") }
+    'analyze' { $artifact = "$featureRel/analysis.md"; $inputs = @("$featureRel/spec.md", "$featureRel/plan.md", "$featureRel/tasks.md") }
+    default {
+        Write-Error "Unknown phase '$Phase' (expected spec, plan, tasks or analyze). Use -Help for usage."
+        exit 1
+    }
+}
+
+$artifactPath = Join-Path $repoRoot $artifact
+if (-not (Test-Path $artifactPath -PathType Leaf)) {
+    Write-Error "$artifact not found. Write the artifact before recording its fingerprint."
+    exit 1
+}
+
+function Get-Sha256 {
+    param([string]$Path)
+    (Get-FileHash -Path $Path -Algorithm SHA256).Hash.ToLower()
+}
+
+$inputHashes = [ordered]@{}
+foreach ($input in $inputs) {
+    # Inputs that don't exist (e.g. no CONSTITUTION.md) are left out, as the dashboard does
+    $inputPath = Join-Path $repoRoot $input
+    if (Test-Path $inputPath -PathType Leaf) {
+        $inputHashes[$input] = Get-Sha256 -Path $inputPath
+    }
+}
+
+$contextFile = Join-Path $repoRoot $featureRel 'context.json'
+$context = $null
+if (Test-Path $contextFile) {
+    try { $context = Get-Content $contextFile -Raw | ConvertFrom-Json } catch { $context = $null }
+}
+if (-not $context) { $context = [PSCustomObject]@{} }
+if (-not $context.PSObject.Properties['fingerprints']) {
+    $context | Add-Member -NotePropertyName 'fingerprints' -NotePropertyValue ([PSCustomObject]@{})
+}
+
+$fingerprint = [PSCustomObject]@{
+    artifact_hash = Get-Sha256 -Path $artifactPath
+    inputs = [PSCustomObject]$inputHashes
+    recorded_at = (Get-Date).ToUniversalTime().ToString('yyyy-MM-ddTHH:mm:ssZ')
+}
+$context.fingerprints | Add-Member -NotePropertyName $Phase -NotePropertyValue $fingerprint -Force
+
+$tmpFile = "$contextFile.tmp"
+$context | ConvertTo-Json -Depth 10 | Set-Content $tmpFile
+Move-Item -Path $tmpFile -Destination $contextFile -Force
+
+if ($Json) {
+    [PSCustomObject]@{
+        feature = $Feature
+        phase = $Phase
+        fingerprint = $fingerprint
+    } | ConvertTo-Json -Depth 5 -Compress
+} else {
+    Write-Output "[iikit] Recorded $Phase fingerprint for $Feature"
+}
@@ -0,0 +1,173 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Append-only log in .specify/, one JSON object per line
+const HISTORY_FILE = 'history.jsonl';
+
+/**
+ * Reduce one feature's view data to the metrics tracked over time.
+ *
+ * @param {Object} featureData - One entry of DASHBOARD_DATA.featureData
+ * @returns {{tasks: {checked: number, total: number}, healthScore: number|null, openBugs: number, checklist: number|null}}
+ *   checklist is the aggregate checklist completion percentage, null without checklists.
+ */
+function snapshotFeature(featureData) {
+  const board = featureData.board || {};
+  const tasks = { checked: 0, total: 0 };
+  for (const cards of [board.todo, board.in_progress, board.done]) {
+    for (const card of (cards || [])) {
+      for (const t of (card.tasks || [])) {
+        tasks.total++;
+        if (t.checked) tasks.checked++;
+      }
+    }
+  }
+
+  const files = (featureData.checklist && featureData.checklist.files) || [];
+  const checklistTotal = files.reduce((sum, f) => sum + f.total, 0);
+  const checklistChecked = files.reduce((sum, f) => sum + f.checked, 0);
+
+  const healthScore = featureData.analyze && featureData.analyze.healthScore;
+  const bugsSummary = featureData.bugs && featureData.bugs.summary;
+
+  return {
+    tasks,
+    healthScore: healthScore ? healthScore.score : null,
+    openBugs: bugsSummary ? bugsSummary.open || 0 : 0,
+    checklist: checklistTotal > 0 ? Math.round((checklistChecked / checklistTotal) * 100) : null
+  };
+}
+
+/**
+ * Read .specify/history.jsonl. Malformed lines (e.g. a write cut short) are skipped.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @returns {Array<Object>} Entries in file order
+ */
+function readHistory(projectPath) {
+  const historyPath = path.join(projectPath, '.specify', HISTORY_FILE);
+  if (!fs.existsSync(historyPath)) return [];
+
+  const entries = [];
+  for (const line of fs.readFileSync(historyPath, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // partial line
+    }
+  }
+  return entries;
+}
+
+function metricsOf(entry) {
+  return {
+    tasks: entry.tasks,
+    healthScore: entry.healthScore,
+    openBugs: entry.openBugs,
+    checklist: entry.checklist
+  };
+}
+
+function sameMetrics(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Append a snapshot of every feature whose metrics changed since its last
+ * entry, and of the constitution version when it changed. Unchanged
+ * regenerations (e.g. watch cycles touching unrelated files) add nothing.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {Object} dashboardData - Assembled DASHBOARD_DATA
+ * @param {Array<Object>} [entries] - Existing history (read from disk when omitted)
+ * @returns {Array<Object>} The entries that were appended
+ */
+function recordHistory(projectPath, dashboardData, entries = readHistory(projectPath)) {
+  const lastByFeature = {};
+  let lastConstitution = null;
+  for (const entry of entries) {
+    if (entry.feature) lastByFeature[entry.feature] = entry;
+    else if (entry.constitution) lastConstitution = entry.constitution;
+  }
+
+  const timestamp = dashboardData.meta.generatedAt;
+  const appended = [];
+
+  const version = dashboardData.constitution && dashboardData.constitution.version;
+  if (version && !sameMetrics(version, lastConstitution)) {
+    appended.push({ timestamp, constitution: version });
+  }
+
+  for (const [fid, fd] of Object.entries(dashboardData.featureData)) {
+    const metrics = snapshotFeature(fd);
+    const last = lastByFeature[fid];
+    if (last && sameMetrics(metrics, metricsOf(last))) continue;
+    appended.push({ timestamp, feature: fid, ...metrics });
+  }
+
+  if (appended.length > 0) {
+    const historyPath = path.join(projectPath, '.specify', HISTORY_FILE);
+    fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+    fs.appendFileSync(historyPath, appended.map(e => JSON.stringify(e)).join('\n') + '\n', 'utf-8');
+  }
+  return appended;
+}
+
+/**
+ * Direction of the latest change in a numeric series, ignoring repeats.
+ *
+ * @param {Array<number|null>} values - Oldest first
+ * @param {boolean} [higherIsBetter=true]
+ * @returns {string|null} "improving", "declining", "stable", or null with fewer than two values
+ */
+function computeTrend(values, higherIsBetter = true) {
+  const points = values.filter(v => typeof v === 'number');
+  if (points.length < 2) return null;
+
+  const current = points[points.length - 1];
+  for (let i = points.length - 2; i >= 0; i--) {
+    if (points[i] !== current) {
+      return (current > points[i]) === higherIsBetter ? 'improving' : 'declining';
+    }
+  }
+  return 'stable';
+}
+
+/**
+ * Attach history-derived data to DASHBOARD_DATA in place:
+ * - featureData[id].history: time series of the tracked metrics
+ * - featureData[id].board.burndown: remaining tasks over time
+ * - featureData[id].analyze.healthScore.trend: from the health score series
+ * - constitution.history: distinct constitution versions, oldest first
+ *
+ * @param {Object} dashboardData - Assembled DASHBOARD_DATA
+ * @param {Array<Object>} entries - History entries, including this generation's
+ */
+function attachHistory(dashboardData, entries) {
+  for (const [fid, fd] of Object.entries(dashboardData.featureData)) {
+    const series = entries
+      .filter(e => e.feature === fid)
+      .map(e => ({ timestamp: e.timestamp, ...metricsOf(e) }));
+    fd.history = series;
+
+    if (fd.board) {
+      fd.board.burndown = series
+        .filter(p => p.tasks && p.tasks.total > 0)
+        .map(p => ({ timestamp: p.timestamp, remaining: p.tasks.total - p.tasks.checked, total: p.tasks.total }));
+    }
+    if (fd.analyze && fd.analyze.healthScore) {
+      fd.analyze.healthScore.trend = computeTrend(series.map(p => p.healthScore));
+    }
+  }
+
+  if (dashboardData.constitution) {
+    dashboardData.constitution.history = entries
+      .filter(e => e.constitution)
+      .map(e => ({ timestamp: e.timestamp, ...e.constitution }));
+  }
+}
+
+module.exports = { HISTORY_FILE, snapshotFeature, readHistory, recordHistory, computeTrend, attachHistory };
@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * Policy rules checked by `generate-dashboard.js gate`, in evaluation order.
+ * Each rule has a distinct exit code; when several fail, the process exits
+ * with the code of the first failing rule in this list.
+ */
+const GATE_RULES = [
+  { id: 'integrity', exitCode: 10, description: 'Assertion hash must match context.json and the git note' },
+  { id: 'checklist', exitCode: 11, description: 'Checklist gate must be open' },
+  { id: 'coverage', exitCode: 12, description: 'Every requirement must have a test spec' },
+  { id: 'health', exitCode: 13, description: 'Analyze health score must meet the threshold' }
+];
+
+/**
+ * Evaluate gate rules against assembled DASHBOARD_DATA.
+ *
+ * Rules only apply where the underlying artifact exists: a feature without
+ * checklists is not blocked by the checklist rule, a feature without analysis.md
+ * has no health score, and coverage is only enforced once .feature files exist
+ * or the constitution makes TDD mandatory.
+ *
+ * @param {Object} dashboardData - Output of assembleDashboardData()
+ * @param {{integrity: boolean, allowLegacyHashes: boolean, checklist: boolean, coverage: boolean, minHealthScore: number|null}} config -
+ *   gate section of the dashboard config (config.js); set a rule to false to disable it
+ * @param {string[]} [featureIds] - Restrict to these features (default: all)
+ * @returns {{passed: boolean, exitCode: number, failures: Array<{rule: string, featureId: string, message: string, exitCode: number}>, checked: string[]}}
+ */
+function evaluateGate(dashboardData, config, featureIds) {
+  const ids = featureIds || dashboardData.features.map(f => f.id);
+  const failures = [];
+  const exitCodes = Object.fromEntries(GATE_RULES.map(r => [r.id, r.exitCode]));
+
+  function fail(rule, featureId, message) {
+    failures.push({ rule, featureId, message, exitCode: exitCodes[rule] });
+  }
+
+  for (const fid of ids) {
+    const fd = dashboardData.featureData[fid];
+    if (!fd) continue;
+
+    const integrity = fd.board.integrity;
+    if (config.integrity && integrity.status === 'tampered') {
+      const against = integrity.sources && integrity.sources.context === 'missing' ? 'git note' : 'stored';
+      const storedHash = against === 'git note' ? integrity.noteHash : integrity.storedHash;
+      const changed = integrity.diff
+        ? [...integrity.diff.modified, ...integrity.diff.added, ...integrity.diff.removed].map(d => d.id)
+        : [];
+      fail('integrity', fid,
+        `assertion hash ${integrity.currentHash.slice(0, 12)}… does not match ${against} ${storedHash.slice(0, 12)}… — .feature files changed after testify` +
+        (changed.length > 0 ? ` (${changed.join(', ')})` : ''));
+    } else if (config.integrity && integrity.status === 'context-tampered') {
+      fail('integrity', fid,
+        `context.json hash ${integrity.storedHash.slice(0, 12)}… disagrees with git note ${integrity.noteHash.slice(0, 12)}… (commit ${integrity.gitNote.commit.slice(0, 7)}) — context.json was edited after testify`);
+    } else if (config.integrity && integrity.status === 'legacy' && !config.allowLegacyHashes) {
+      fail('integrity', fid,
+        'stored assertion hash uses the legacy step-only scheme, so Examples tables and doc strings are unverified — re-run testify store-hash (or set gate.allowLegacyHashes while migrating)');
+    }
+
+    if (config.checklist && fd.checklist.files.length > 0 && fd.checklist.gate.status === 'blocked') {
+      const incomplete = fd.checklist.files
+        .filter(f => f.percentage < 100)
+        .map(f => `${f.filename} ${f.percentage}%`);
+      fail('checklist', fid, `${fd.checklist.gate.label} (${incomplete.join(', ')})`);
+    }
+
+    const testifyPhase = fd.pipeline.phases.find(p => p.id === 'testify');
+    const coverageEnforced = fd.testify.exists || (testifyPhase && !testifyPhase.optional);
+    if (config.coverage && coverageEnforced && fd.testify.gaps.untestedRequirements.length > 0) {
+      fail('coverage', fid, `untested requirements: ${fd.testify.gaps.untestedRequirements.join(', ')}`);
+    }
+
+    if (config.minHealthScore !== null && config.minHealthScore !== undefined && fd.analyze.healthScore &&
+        fd.analyze.healthScore.score < config.minHealthScore) {
+      fail('health', fid, `health score ${fd.analyze.healthScore.score} is below threshold ${config.minHealthScore}`);
+    }
+  }
+
+  const firstFailing = GATE_RULES.find(r => failures.some(f => f.rule === r.id));
+  return {
+    passed: failures.length === 0,
+    exitCode: firstFailing ? firstFailing.exitCode : 0,
+    failures,
+    checked: ids.filter(fid => dashboardData.featureData[fid])
+  };
+}
+
+/**
+ * Format a gate result as human-readable lines.
+ *
+ * @param {Object} result - Output of evaluateGate()
+ * @returns {string}
+ */
+function formatGateResult(result) {
+  const lines = result.failures.map(f => `FAIL [${f.rule}] ${f.featureId}: ${f.message}`);
+  if (result.passed) {
+    lines.push(`Gate passed: ${result.checked.length} feature(s) checked`);
+  } else {
+    lines.push(`Gate failed: ${result.failures.length} violation(s) across ${result.checked.length} feature(s) checked (exit ${result.exitCode})`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { evaluateGate, formatGateResult, GATE_RULES };
@@ -91,14 +91,44 @@ function Get-TddAssessment {
 # ASSERTION INTEGRITY FUNCTIONS
 # =============================================================================
 
+# Select hashed lines from .feature content and normalize whitespace
+# Default: step lines, data table rows (including Scenario Outline Examples tables)
+#   and doc strings with their delimiters, in document order
+# -Legacy: step lines only (hashes stored before tables and doc strings were covered)
+# Must stay in sync with extractAssertionLines in dashboard/src/integrity.js
+function Select-FeatureAssertionLines {
+    param([string[]]$Lines, [switch]$Legacy)
+
+    $selected = @()
+    $inDocString = $false
+    foreach ($line in $Lines) {
+        if ($Legacy) {
+            $hashed = $line -match '^\s*(Given|When|Then|And|But) '
+        }
+        elseif ($line -match '^\s*("""|```)') {
+            $hashed = $true
+            $inDocString = -not $inDocString
+        }
+        else {
+            $hashed = $inDocString -or ($line -match '^\s*(Given|When|Then|And|But) ') -or ($line -match '^\s*\|')
+        }
+        if ($hashed) {
+            # Normalize: strip leading whitespace, collapse internal whitespace, trim trailing
+            $selected += ($line.Trim() -replace '\s{2,}', ' ')
+        }
+    }
+    return $selected
+}
+
 # Extract assertion content for hashing
 # Accepts: directory path (tests/features/), single .feature file, or legacy test-specs.md
-# For .feature files: extracts Given/When/Then/And/But step lines in document order
+# -Legacy: extract step lines only (see Select-FeatureAssertionLines)
+# For .feature files: extracts step lines, table rows and doc strings in document order
 #   - Files sorted by name for determinism, lines in document order within each file
 #   - Whitespace normalized: leading stripped, internal collapsed, trailing stripped
 # For test-specs.md (legacy): extracts **Given**:/**When**:/**Then**: lines, sorted
 function Get-AssertionContent {
-    param([string]$InputPath)
+    param([string]$InputPath, [switch]$Legacy)
 
     if (Test-Path -Path $InputPath -PathType Container) {
         # Directory input: glob all .feature files, sorted by name
@@ -108,14 +138,11 @@ function Get-AssertionContent {
             return ""
         }
 
-        # Extract step lines in document order per file, normalize whitespace
+        # Extract hashed lines in document order per file
         $allLines = @()
         foreach ($f in $files) {
-            $lines = Get-Content $f.FullName | Where-Object { $_ -match '^\s*(Given|When|Then|And|But) ' }
-            foreach ($line in $lines) {
-                # Normalize: strip leading whitespace, collapse internal whitespace, trim trailing
-                $normalized = $line.Trim() -replace '\s{2,}', ' '
-                $allLines += $normalized
+            foreach ($line in (Select-FeatureAssertionLines -Lines (Get-Content $f.FullName) -Legacy:$Legacy)) {
+                $allLines += $line
             }
         }
 
@@ -124,12 +151,9 @@ function Get-AssertionContent {
     elseif (Test-Path -Path $InputPath -PathType Leaf) {
         if ($InputPath -like "*.feature") {
             # Single .feature file input
-            $content = Get-Content $InputPath
             $allLines = @()
-            $lines = $content | Where-Object { $_ -match '^\s*(Given|When|Then|And|But) ' }
-            foreach ($line in $lines) {
-                $normalized = $line.Trim() -replace '\s{2,}', ' '
-                $allLines += $normalized
+            foreach ($line in (Select-FeatureAssertionLines -Lines (Get-Content $InputPath) -Legacy:$Legacy)) {
+                $allLines += $line
             }
             return ($allLines -join "`n")
         }
@@ -149,18 +173,24 @@ function Get-AssertionContent {
 
 # Compute SHA256 hash of assertion content
 # Accepts: directory path (tests/features/), single .feature file, or legacy test-specs.md
+# -Legacy: step-only hash stored by earlier versions
 # Returns just the hash string, or NO_ASSERTIONS if no step lines found
 function Get-AssertionHash {
-    param([string]$InputPath)
+    param([string]$InputPath, [switch]$Legacy)
 
-    $assertions = Get-AssertionContent -InputPath $InputPath
+    $assertions = Get-AssertionContent -InputPath $InputPath -Legacy:$Legacy
 
     if ([string]::IsNullOrEmpty($assertions)) {
         return "NO_ASSERTIONS"
     }
 
-    # Compute SHA256 hash
-    $bytes = [System.Text.Encoding]::UTF8.GetBytes($assertions)
+    return Get-Sha256Hex -Text $assertions
+}
+
+function Get-Sha256Hex {
+    param([string]$Text)
+
+    $bytes = [System.Text.Encoding]::UTF8.GetBytes($Text)
     $sha256 = [System.Security.Cryptography.SHA256]::Create()
     $hashBytes = $sha256.ComputeHash($bytes)
     $hash = [BitConverter]::ToString($hashBytes) -replace '-', ''
@@ -168,6 +198,89 @@ function Get-AssertionHash {
     return $hash.ToLower()
 }
 
+# Compute per-scenario hashes keyed by TS-ID
+# Accepts: directory path (tests/features/) or single .feature file
+# Returns an ordered hashtable: TS-ID -> @{ hash; lines } (lines let the dashboard
+# show which steps changed). Lines outside TS-tagged scenarios (Background,
+# untagged scenarios) are skipped; they are only covered by the aggregate hash
+# Must stay in sync with computeScenarioHashes in dashboard/src/integrity.js
+function Get-ScenarioHashes {
+    param([string]$InputPath)
+
+    if (Test-Path -Path $InputPath -PathType Container) {
+        $files = @(Get-ChildItem "$InputPath/*.feature" -ErrorAction SilentlyContinue | Sort-Object Name | ForEach-Object { $_.FullName })
+    }
+    elseif ((Test-Path -Path $InputPath -PathType Leaf) -and $InputPath -like "*.feature") {
+        $files = @($InputPath)
+    }
+    else {
+        $files = @()
+    }
+
+    $grouped = [ordered]@{}
+    foreach ($f in $files) {
+        $inDocString = $false
+        $current = $null
+        $pendingId = $null
+        foreach ($line in (Get-Content $f)) {
+            if ($line -match '^\s*("""|```)') {
+                $hashed = $true
+                $inDocString = -not $inDocString
+            }
+            else {
+                $hashed = $inDocString -or ($line -match '^\s*(Given|When|Then|And|But) ') -or ($line -match '^\s*\|')
+            }
+            if ($hashed) {
+                if ($current) {
+                    if (-not $grouped.Contains($current)) { $grouped[$current] = New-Object System.Collections.ArrayList }
+                    [void]$grouped[$current].Add(($line.Trim() -replace '\s{2,}', ' '))
+                }
+                continue
+            }
+            $trimmed = $line.Trim()
+            if ($trimmed.StartsWith('@')) {
+                $idTag = ($trimmed -split '\s+') | Where-Object { $_ -match '^@TS-\d+$' } | Select-Object -First 1
+                if ($idTag -and -not $pendingId) { $pendingId = $idTag.Substring(1) }
+            }
+            elseif ($trimmed -match '^Scenario( Outline)?:') {
+                $current = $pendingId
+                $pendingId = $null
+            }
+            elseif ($trimmed -match '^(Feature|Background|Rule):') {
+                $current = $null
+                $pendingId = $null
+            }
+        }
+    }
+
+    $scenarios = [ordered]@{}
+    foreach ($id in $grouped.Keys) {
+        $lines = @($grouped[$id])
+        $scenarios[$id] = [ordered]@{
+            hash = Get-Sha256Hex -Text ($lines -join "`n")
+            lines = $lines
+        }
+    }
+    return $scenarios
+}
+
+# Check a stored hash against the current assertion content
+# A match on the step-only hash stored before tables and doc strings were covered
+# is reported as "legacy": Examples values and doc strings are then unprotected
+# until store-hash runs again (the two hashes only differ when they are present)
+# Returns: "valid", "legacy" or "invalid"
+function Get-AssertionHashStatus {
+    param([string]$StoredHash, [string]$InputPath)
+
+    if ($StoredHash -eq (Get-AssertionHash -InputPath $InputPath)) {
+        return "valid"
+    }
+    if ($StoredHash -eq (Get-AssertionHash -InputPath $InputPath -Legacy)) {
+        return "legacy"
+    }
+    return "invalid"
+}
+
 # Derive context.json path from input path
 # Supports:
 #   Directory: tests/features/ -> tests/ -> feature_dir/ -> context.json (2 levels up)
@@ -229,6 +342,7 @@ function Set-AssertionHash {
             generated_at = $timestamp
             features_dir = $InputPath
             file_count = $fileCount
+            scenarios = Get-ScenarioHashes -InputPath $InputPath
         }
     }
     else {
@@ -253,7 +367,7 @@ function Set-AssertionHash {
 }
 
 # Verify assertion hash matches stored value
-# Returns: "valid", "invalid", or "missing"
+# Returns: "valid", "legacy", "invalid", or "missing"
 # context.json path is derived from input location
 function Test-AssertionHash {
     param(
@@ -277,14 +391,7 @@ function Test-AssertionHash {
 
     $storedHash = $context.testify.assertion_hash
 
-    # Compute current hash
-    $currentHash = Get-AssertionHash -InputPath $InputPath
-
-    if ($storedHash -eq $currentHash) {
-        return "valid"
-    } else {
-        return "invalid"
-    }
+    return Get-AssertionHashStatus -StoredHash $storedHash -InputPath $InputPath
 }
 
 # =============================================================================
@@ -359,14 +466,7 @@ function Test-GitNote {
         return "missing"
     }
 
-    # Compute current hash
-    $currentHash = Get-AssertionHash -InputPath $InputPath
-
-    if ($storedHash -eq $currentHash) {
-        return "valid"
-    } else {
-        return "invalid"
-    }
+    return Get-AssertionHashStatus -StoredHash $storedHash -InputPath $InputPath
 }
 
 # =============================================================================
@@ -469,6 +569,9 @@ function Get-ComprehensiveIntegrityCheck {
     if ($hashResult -eq "invalid" -or $gitNoteResult -eq "invalid") {
         $overallStatus = "BLOCKED"
         $blockReason = "Assertions were modified since testify ran"
+    } elseif ($hashResult -eq "legacy" -or $gitNoteResult -eq "legacy") {
+        $overallStatus = "BLOCKED"
+        $blockReason = "Stored hash predates Examples table and doc string hashing; re-run /iikit-04-testify (store-hash)"
     } elseif ($gitDiffResult -eq "modified") {
         $overallStatus = "BLOCKED"
         $blockReason = "Uncommitted changes to assertions detected"
@@ -602,6 +705,20 @@ switch ($Command) {
         }
         Get-AssertionHash -InputPath $FilePath
     }
+    "compute-scenario-hashes" {
+        if (-not $FilePath) {
+            Write-Error "Usage: testify-tdd.ps1 compute-scenario-hashes <features-dir-or-file>"
+            exit 1
+        }
+        Get-ScenarioHashes -InputPath $FilePath | ConvertTo-Json -Depth 5 -Compress
+    }
+    "compute-legacy-hash" {
+        if (-not $FilePath) {
+            Write-Error "Usage: testify-tdd.ps1 compute-legacy-hash <features-dir-or-file>"
+            exit 1
+        }
+        Get-AssertionHash -InputPath $FilePath -Legacy
+    }
     { $_ -in "store-hash", "rehash" } {
         if (-not $FilePath) {
             Write-Error "Usage: testify-tdd.ps1 store-hash <features-dir-or-file>"
@@ -655,8 +772,10 @@ switch ($Command) {
         Write-Host "    count-scenarios <spec-file>           - Count acceptance scenarios"
         Write-Host "    has-scenarios <spec-file>             - Check if scenarios exist"
         Write-Host "  Hash-based Integrity (context.json auto-derived from input path):"
-        Write-Host "    extract-assertions <dir-or-file>      - Extract step lines (.feature dir/file or legacy .md)"
+        Write-Host "    extract-assertions <dir-or-file>      - Extract hashed lines (.feature dir/file or legacy .md)"
         Write-Host "    compute-hash <dir-or-file>            - Compute SHA256 hash"
+        Write-Host "    compute-legacy-hash <dir-or-file>     - Compute step-only hash (pre-Examples scheme)"
+        Write-Host "    compute-scenario-hashes <dir-or-file> - Per-scenario hashes keyed by TS-ID (JSON)"
         Write-Host "    store-hash|rehash <dir-or-file>       - Atomic compute + store hash in feature's context.json"
         Write-Host "    verify-hash <dir-or-file>             - Verify against feature's context.json"
         Write-Host "  Git-based Integrity (tamper-resistant):"
@@ -0,0 +1,252 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config');
+const { readText } = require('./files');
+
+// Directories never worth listing as unplanned files or searching for moved ones
+const IGNORED_DIRS = new Set(['node_modules', '__pycache__', 'dist', 'build', 'coverage', 'target', 'venv']);
+
+// Bounds on the directory walks, so a plan naming a huge tree stays cheap
+const MAX_FILES = 5000;
+
+// Names that recur in most trees, so finding one elsewhere says nothing about a move
+const COMMON_FILE_NAMES = new Set([
+  'index.js', 'index.jsx', 'index.ts', 'index.tsx', 'index.mjs', 'index.cjs', 'index.html', 'types.ts', 'types.d.ts',
+  'main.js', 'main.ts', 'main.py', 'main.go', 'main.rs', 'lib.rs', 'mod.rs', '__init__.py', '__main__.py',
+  'conftest.py', 'utils.js', 'utils.ts', 'utils.py', 'config.js', 'config.ts', 'constants.ts',
+  'package.json', 'tsconfig.json', 'README.md', 'Makefile', 'Dockerfile', '.gitkeep'
+]);
+const MAX_LINE_COUNT_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Build file path from tree entries by walking up the depth chain.
+ */
+function buildFilePath(entries, targetEntry, rootName) {
+  const idx = entries.indexOf(targetEntry);
+  const parts = [targetEntry.name];
+  let currentDepth = targetEntry.depth;
+
+  // Walk backwards to find all parent directories
+  for (let i = idx - 1; i >= 0; i--) {
+    if (entries[i].depth < currentDepth && entries[i].type === 'directory') {
+      parts.unshift(entries[i].name);
+      currentDepth = entries[i].depth;
+      if (currentDepth === 0) break;
+    }
+  }
+
+  // If entry is at depth 0 and has no directory parent, prepend rootName
+  if (currentDepth === 0 && rootName && parts[0] !== rootName) {
+    // Check if the entry is NOT under a different depth-0 directory
+    // (i.e., it belongs to the rootName section)
+    let hasDepth0DirParent = false;
+    for (let i = idx - 1; i >= 0; i--) {
+      if (entries[i].depth === 0 && entries[i].type === 'directory') {
+        hasDepth0DirParent = true;
+        break;
+      }
+    }
+    if (!hasDepth0DirParent) {
+      parts.unshift(rootName);
+    }
+  }
+
+  return parts.join('/');
+}
+
+/**
+ * List files below a directory (project-relative, "/"-separated), skipping
+ * dotfiles, ignored directories and the directories in `skip`.
+ *
+ * @returns {{files: string[], truncated: boolean}}
+ */
+function walkFiles(projectPath, relDir, skip, limit = MAX_FILES) {
+  const files = [];
+  let truncated = false;
+  const visit = rel => {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(projectPath, rel), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (entry.name.startsWith('.')) continue;
+      const child = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.has(entry.name) && !skip.has(child)) visit(child);
+      } else if (entry.isFile()) {
+        if (files.length >= limit) {
+          truncated = true;
+          return;
+        }
+        files.push(child);
+      }
+      if (truncated) return;
+    }
+  };
+  visit(relDir);
+  return { files, truncated };
+}
+
+function countLines(fullPath) {
+  try {
+    if (fs.statSync(fullPath).size > MAX_LINE_COUNT_BYTES) return null;
+  } catch {
+    return null;
+  }
+  const content = readText(fullPath);
+  if (content === null || content.includes('\u0000')) return null;
+  if (content === '') return 0;
+  return content.split('\n').length - (content.endsWith('\n') ? 1 : 0);
+}
+
+function driftPercent(planned, present, unplanned) {
+  const total = planned + unplanned;
+  return total === 0 ? 0 : Math.round((planned - present + unplanned) / total * 100);
+}
+
+/**
+ * Compare the plan's File Structure tree with the project in both directions.
+ * Updates the entries in place:
+ *   - every entry gets its project-relative `path`, `exists` and a `status`:
+ *     "present", "planned" (not created yet), "moved" (missing, but exactly
+ *     one unplanned file under the plan's top-level directories has the same,
+ *     distinctive name — see `movedTo`) or "unplanned";
+ *   - present planned files get `lines`;
+ *   - real files under a planned directory that the plan never mentions are
+ *     inserted after that directory's children with status "unplanned";
+ *   - directory entries get `drift`: counts over their subtree and the share
+ *     of planned files missing plus unplanned files, in percent.
+ * Running it again first drops the unplanned entries it inserted, so a
+ * cached plan view can be refreshed against the current tree.
+ *
+ * @param {string} projectPath - Path to project root
+ * @param {{entries: Array, rootName: string}} fileStructure - From parseFileStructure (updated in place)
+ * @returns {{planned: number, present: number, missing: number, moved: number, unplanned: number, percent: number, truncated: boolean}}
+ */
+function computeFileDrift(projectPath, fileStructure) {
+  const entries = fileStructure.entries.filter(e => e.status !== 'unplanned');
+  for (const entry of entries) {
+    entry.path = buildFilePath(entries, entry, fileStructure.rootName);
+    entry.exists = fs.existsSync(path.join(projectPath, entry.path));
+    entry.status = entry.exists ? 'present' : 'planned';
+    delete entry.lines;
+    delete entry.movedTo;
+    delete entry.drift;
+  }
+
+  const plannedFiles = entries.filter(e => e.type !== 'directory');
+  const plannedPaths = new Set(entries.map(e => e.path));
+  const plannedDirs = entries.filter(e => e.type === 'directory');
+  const plannedDirPaths = new Set(plannedDirs.map(e => e.path));
+  let truncated = false;
+
+  for (const entry of plannedFiles) {
+    if (entry.exists) entry.lines = countLines(path.join(projectPath, entry.path));
+  }
+
+  // Real files under each existing planned directory that the plan doesn't
+  // list; nested planned directories are walked on their own
+  const unplannedByDir = new Map();
+  for (const dir of plannedDirs) {
+    if (!dir.exists) continue;
+    const skip = new Set([...plannedDirPaths].filter(p => p !== dir.path));
+    const walk = walkFiles(projectPath, dir.path, skip);
+    truncated = truncated || walk.truncated;
+    const unplanned = walk.files.filter(f => !plannedPaths.has(f));
+    if (unplanned.length > 0) unplannedByDir.set(dir, unplanned);
+  }
+
+  // A missing planned file whose name turns up exactly once elsewhere under
+  // the plan's top-level directories was probably moved there
+  const missing = plannedFiles.filter(e => !e.exists && !COMMON_FILE_NAMES.has(path.posix.basename(e.path)));
+  if (missing.length > 0) {
+    const skip = new Set([loadConfig(projectPath).featuresDir]);
+    const roots = new Set(entries.filter(e => e.path.includes('/')).map(e => e.path.split('/')[0]));
+    const byName = new Map();
+    for (const root of roots) {
+      if (skip.has(root) || !fs.existsSync(path.join(projectPath, root))) continue;
+      const walk = walkFiles(projectPath, root, skip);
+      truncated = truncated || walk.truncated;
+      for (const file of walk.files) {
+        if (plannedPaths.has(file)) continue;
+        const name = path.posix.basename(file);
+        if (!byName.has(name)) byName.set(name, []);
+        byName.get(name).push(file);
+      }
+    }
+    for (const entry of missing) {
+      const candidates = byName.get(path.posix.basename(entry.path));
+      if (candidates && candidates.length === 1) {
+        entry.status = 'moved';
+        entry.movedTo = candidates;
+      }
+    }
+  }
+
+  // Rebuild the entry list with unplanned files after their directory's children
+  const result = [];
+  const open = [];
+  const close = depth => {
+    while (open.length > 0 && open[open.length - 1].depth >= depth) {
+      const dir = open.pop();
+      appendUnplanned(result, dir, unplannedByDir.get(dir) || []);
+    }
+  };
+  for (const entry of entries) {
+    close(entry.depth);
+    result.push(entry);
+    if (entry.type === 'directory') open.push(entry);
+  }
+  close(-1);
+  fileStructure.entries = result;
+
+  // Per-directory drift over each subtree
+  for (let i = 0; i < result.length; i++) {
+    const dir = result[i];
+    if (dir.type !== 'directory') continue;
+    const counts = { planned: 0, present: 0, unplanned: 0 };
+    for (let j = i + 1; j < result.length && result[j].depth > dir.depth; j++) {
+      const e = result[j];
+      if (e.type === 'directory') continue;
+      if (e.status === 'unplanned') counts.unplanned++;
+      else {
+        counts.planned++;
+        if (e.status === 'present') counts.present++;
+      }
+    }
+    dir.drift = { ...counts, percent: driftPercent(counts.planned, counts.present, counts.unplanned) };
+  }
+
+  const present = plannedFiles.filter(e => e.status === 'present').length;
+  const moved = plannedFiles.filter(e => e.status === 'moved').length;
+  const unplanned = [...unplannedByDir.values()].reduce((sum, files) => sum + files.length, 0);
+  return {
+    planned: plannedFiles.length,
+    present,
+    missing: plannedFiles.length - present - moved,
+    moved,
+    unplanned,
+    percent: driftPercent(plannedFiles.length, present, unplanned),
+    truncated
+  };
+}
+
+function appendUnplanned(list, dir, files) {
+  for (const file of files) {
+    list.push({
+      name: file.slice(dir.path.length + 1),
+      type: 'file',
+      comment: null,
+      depth: dir.depth + 1,
+      path: file,
+      exists: true,
+      status: 'unplanned'
+    });
+  }
+}
+
+module.exports = { buildFilePath, computeFileDrift };
@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Machine-readable export of DASHBOARD_DATA (`generate-dashboard.js <projectPath> --format json`).
+ *
+ * Written to .specify/dashboard-data.json. Layout (schemaVersion 1):
+ *
+ *   {
+ *     schemaVersion: 1,
+ *     generatedAt: ISO-8601 timestamp,
+ *     projectPath: absolute project root,
+ *     features: [{id, name, stories, progress: "checked/total", lastActive: epoch ms}],
+ *     constitution: {principles: [...], version: {...}|null, history: [...], exists},
+ *     premise: {content: string|null, exists},
+ *     featureData: {
+ *       "<featureId>": {
+ *         board:     {todo, in_progress, done, phases, metrics, burndown, integrity} — board.js + metrics.js + integrity.js + history.js
+ *         pipeline:  {phases: [{id, name, status, progress, optional, clarifications, taskPhases?, invalidatedBy?}], recommendations: [{skill, reason, phase, kind}]} — pipeline.js + staleness.js + recommend.js
+ *         storyMap:  {stories, requirements, successCriteria, clarifications, edges} — storymap.js
+ *         planView:  {techContext, researchDecisions, fileStructure, drift, diagram, tesslTiles, exists} — planview.js, drift.js
+ *         checklist: {files, gate: {status, level, label}}          — checklist.js
+ *         testify:   {requirements, testSpecs, tasks, edges, gaps, pyramid, integrity, results, exists} — testify.js
+ *         taskGraph: {nodes, edges, criticalPath, unblocked, next, cycles, exists} — taskgraph.js
+ *         analyze:   {healthScore: {score, zone, zones, factors, trend}, heatmap, issues, metrics, constitutionAlignment, exists} — analyze.js
+ *         bugs:      {exists, bugs, orphanedTasks, summary, repoUrl} — bugs.js
+ *         history:   [{timestamp, tasks: {checked, total}, healthScore, openBugs, checklist}] — history.js
+ *       }
+ *     }
+ *   }
+ *
+ * Versioning: adding fields is backwards compatible and keeps the version.
+ * Removing or renaming a field, or changing its type or meaning, bumps
+ * DASHBOARD_SCHEMA_VERSION. Consumers should check schemaVersion first.
+ */
+const DASHBOARD_SCHEMA_VERSION = 1;
+
+const FEATURE_VIEWS = ['board', 'pipeline', 'storyMap', 'planView', 'checklist', 'testify', 'taskGraph', 'analyze', 'bugs', 'history'];
+
+/**
+ * Convert assembled DASHBOARD_DATA into the versioned export document.
+ *
+ * @param {Object} dashboardData - Output of assembleDashboardData()
+ * @returns {Object} Export document (see schema above)
+ */
+function toExportDocument(dashboardData) {
+  const featureData = {};
+  for (const [fid, fd] of Object.entries(dashboardData.featureData)) {
+    featureData[fid] = {};
+    for (const view of FEATURE_VIEWS) {
+      featureData[fid][view] = fd[view] !== undefined ? fd[view] : null;
+    }
+  }
+
+  return {
+    schemaVersion: DASHBOARD_SCHEMA_VERSION,
+    generatedAt: dashboardData.meta.generatedAt,
+    projectPath: dashboardData.meta.projectPath,
+    features: dashboardData.features,
+    constitution: dashboardData.constitution,
+    premise: dashboardData.premise,
+    featureData
+  };
+}
+
+module.exports = { toExportDocument, DASHBOARD_SCHEMA_VERSION, FEATURE_VIEWS };
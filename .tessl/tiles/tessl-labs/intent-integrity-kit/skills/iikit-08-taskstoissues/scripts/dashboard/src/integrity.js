@@ -1,10 +1,179 @@
 'use strict';
 
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { git } = require('./files');
+
+// Namespace used by post-commit-hook.sh / testify-tdd.sh (GIT_NOTES_REF)
+const GIT_NOTES_REF = 'refs/notes/testify';
+
+const STEP_LINE = /^\s*(Given|When|Then|And|But) /;
+const TABLE_ROW = /^\s*\|/;
+const DOC_STRING_DELIMITER = /^\s*("""|```)/;
+
+/**
+ * Select the lines of .feature content that the assertion hash covers, with
+ * whitespace normalized (collapsed to single spaces, trimmed).
+ *
+ * Current scheme: step lines, data table rows (including Scenario Outline
+ * Examples tables) and doc strings with their delimiters, in document order.
+ * Legacy scheme: step lines only — the hashes testify stored before tables and
+ * doc strings were covered. Must stay in sync with extract_assertions in
+ * testify-tdd.sh / Get-AssertionContent in testify-tdd.ps1.
+ *
+ * @param {string} content - Concatenated content of .feature files
+ * @param {boolean} [legacy=false] - Use the step-only legacy scheme
+ * @returns {string[]}
+ */
+function extractAssertionLines(content, legacy = false) {
+  const isHashed = createLineSelector(legacy);
+  return content.split('\n').filter(isHashed).map(normalizeLine);
+}
+
+/**
+ * Create a stateful predicate for the hashed-line rules above. Lines must be
+ * fed in document order (doc string state carries between calls).
+ *
+ * @param {boolean} legacy - Use the step-only legacy scheme
+ * @returns {function(string): boolean}
+ */
+function createLineSelector(legacy) {
+  let inDocString = false;
+  return line => {
+    if (legacy) return STEP_LINE.test(line);
+    if (DOC_STRING_DELIMITER.test(line)) {
+      inDocString = !inDocString;
+      return true;
+    }
+    return inDocString || STEP_LINE.test(line) || TABLE_ROW.test(line);
+  };
+}
+
+function normalizeLine(line) {
+  return line.replace(/\s+/g, ' ').trim();
+}
+
+function hashLines(lines) {
+  if (lines.length === 0) return null;
+  return crypto.createHash('sha256').update(lines.join('\n'), 'utf8').digest('hex');
+}
+
+/**
+ * Group hashed lines by the @TS-XXX scenario they belong to and hash each group.
+ * Lines outside TS-tagged scenarios (Background, untagged scenarios) are only
+ * covered by the aggregate hash. Must stay in sync with compute_scenario_hashes
+ * in testify-tdd.sh / Get-ScenarioHashes in testify-tdd.ps1.
+ *
+ * @param {string} content - Concatenated content of .feature files
+ * @returns {Object<string, {hash: string, lines: string[]}>} Keyed by TS-ID, in document order
+ */
+function computeScenarioHashes(content) {
+  if (!content || typeof content !== 'string') return {};
+
+  const grouped = {};
+  const isHashed = createLineSelector(false);
+  let current = null;
+  let pendingId = null;
+
+  for (const line of content.split('\n')) {
+    if (isHashed(line)) {
+      if (current) (grouped[current] = grouped[current] || []).push(normalizeLine(line));
+      continue;
+    }
+    const trimmed = line.trim();
+    if (trimmed.startsWith('@')) {
+      const idTag = (trimmed.match(/@[\w-]+/g) || []).find(t => /^@TS-\d+$/.test(t));
+      if (idTag && !pendingId) pendingId = idTag.slice(1);
+    } else if (/^Scenario( Outline)?:/.test(trimmed)) {
+      current = pendingId;
+      pendingId = null;
+    } else if (/^(Feature|Background|Rule):/.test(trimmed)) {
+      current = null;
+      pendingId = null;
+    }
+  }
+
+  const scenarios = {};
+  for (const [id, lines] of Object.entries(grouped)) {
+    scenarios[id] = { hash: hashLines(lines), lines };
+  }
+  return scenarios;
+}
+
+/**
+ * Line diff (longest common subsequence) between two step-line lists.
+ *
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {Array<{op: string, text: string}>} op is "same", "removed" or "added"
+ */
+function diffLines(before, after) {
+  const lcs = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      ops.push({ op: 'same', text: before[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ op: 'removed', text: before[i++] });
+    } else {
+      ops.push({ op: 'added', text: after[j++] });
+    }
+  }
+  while (i < before.length) ops.push({ op: 'removed', text: before[i++] });
+  while (j < after.length) ops.push({ op: 'added', text: after[j++] });
+  return ops;
+}
+
+/**
+ * Compare stored per-scenario hashes (context.json testify.scenarios) against
+ * the current .feature files.
+ *
+ * @param {Object<string, {hash: string, lines: string[]}>} stored
+ * @param {Object<string, {hash: string, lines: string[]}>} current
+ * @returns {{added: Array<{id: string, lines: string[]}>, removed: Array<{id: string, lines: string[]}>,
+ *   modified: Array<{id: string, changes: Array<{op: string, text: string}>}>, outsideScenarios: boolean}}
+ *   outsideScenarios is true when no scenario differs, i.e. the change is in a
+ *   Background or an untagged scenario
+ */
+function diffScenarios(stored, current) {
+  const added = [];
+  const removed = [];
+  const modified = [];
+
+  for (const [id, scenario] of Object.entries(current)) {
+    if (!stored[id]) {
+      added.push({ id, lines: scenario.lines });
+    } else if (stored[id].hash !== scenario.hash) {
+      modified.push({ id, changes: diffLines(stored[id].lines || [], scenario.lines) });
+    }
+  }
+  for (const [id, scenario] of Object.entries(stored)) {
+    if (!current[id]) removed.push({ id, lines: scenario.lines || [] });
+  }
+
+  return {
+    added,
+    removed,
+    modified,
+    outsideScenarios: added.length + removed.length + modified.length === 0
+  };
+}
 
 /**
- * Extract Gherkin step lines (Given/When/Then/And/But) from .feature content,
- * normalize whitespace, and compute SHA256 hash.
+ * Compute the SHA256 assertion hash of .feature content: step lines, table rows
+ * and doc strings, so editing an expected value in an Examples table or a doc
+ * string is detected.
  *
  * Order is preserved (deterministic ordering comes from sorted filenames — caller
  * concatenates all .feature file contents sorted by filename before calling).
@@ -14,45 +183,203 @@ const crypto = require('crypto');
  */
 function computeAssertionHash(content) {
   if (!content || typeof content !== 'string') return null;
+  return hashLines(extractAssertionLines(content));
+}
 
-  const lines = content.split('\n');
-  const assertionLines = [];
+/**
+ * Compute the legacy step-only assertion hash, so context.json hashes stored
+ * before tables and doc strings were covered are still recognized. For content
+ * without tables or doc strings both hashes are identical.
+ *
+ * @param {string} content - Concatenated content of .feature files
+ * @returns {string|null} SHA256 hex hash, or null if no step lines found
+ */
+function computeLegacyAssertionHash(content) {
+  if (!content || typeof content !== 'string') return null;
+  return hashLines(extractAssertionLines(content, true));
+}
 
-  for (const line of lines) {
-    if (/^\s*(Given|When|Then|And|But) /.test(line)) {
-      // Normalize whitespace: collapse multiple spaces to single space
-      const normalized = line.replace(/\s+/g, ' ').trim();
-      assertionLines.push(normalized);
+/**
+ * Parse a testify git note into its entries. post-commit-hook.sh accumulates one
+ * entry per features dir (or legacy test-specs.md) in a single note, separated by "---".
+ *
+ * @param {string} note - Raw note content
+ * @returns {Array<{hash: string, generatedAt: string|null, featuresDir: string|null, testSpecsFile: string|null}>}
+ */
+function parseGitNote(note) {
+  if (!note || typeof note !== 'string') return [];
+
+  const entries = [];
+  for (const block of note.split(/^---$/m)) {
+    const fields = {};
+    for (const line of block.split('\n')) {
+      const match = line.match(/^([a-z-]+):\s*(.*)$/);
+      if (match) fields[match[1]] = match[2].trim();
+    }
+    if (!fields['testify-hash']) continue;
+    entries.push({
+      hash: fields['testify-hash'],
+      generatedAt: fields['generated-at'] || null,
+      featuresDir: fields['features-dir'] || null,
+      testSpecsFile: fields['test-specs-file'] || null
+    });
+  }
+  return entries;
+}
+
+/**
+ * Hash the .feature files a commit changed in tests/features, read from that
+ * commit's tree. Before post-commit-hook.sh hashed the whole directory it
+ * hashed only these, so a note matching this covers part of the specs.
+ *
+ * @returns {{hash: string|null, legacyHash: string|null}}
+ */
+function hashChangedFeatureFiles(repoRoot, commit, featuresRel) {
+  const changed = git(repoRoot, ['diff-tree', '--no-commit-id', '--name-only', '-r', commit, '--', featuresRel]).trim()
+    .split('\n')
+    .filter(f => f.endsWith('.feature') && path.posix.dirname(f) === featuresRel)
+    .sort();
+  const contents = [];
+  for (const file of changed) {
+    try {
+      contents.push(git(repoRoot, ['show', `${commit}:${file}`]).trim());
+    } catch {
+      // deleted in that commit — the hook skipped it too
     }
   }
+  const content = contents.join('\n');
+  return { hash: computeAssertionHash(content), legacyHash: computeLegacyAssertionHash(content) };
+}
+
+/**
+ * Read the git-notes assertion hash for a feature's tests/features directory,
+ * from the note on the last commit that touched that directory.
+ *
+ * When the note matches none of `knownHashes` (the current files' hashes) it
+ * is checked against the files that commit changed; a match means the note
+ * was written by an older hook that hashed only those (`partial: true`).
+ *
+ * @param {string} featureDir - Absolute path to specs/<feature>
+ * @param {string[]} [knownHashes] - Hashes of the current .feature files
+ * @returns {{hash: string, commit: string, generatedAt: string|null, dirty: boolean, partial: boolean}|null}
+ *   dirty is true when tests/features has uncommitted changes, i.e. the note
+ *   describes an older version of the files. null when not in a git repo, git
+ *   is unavailable, or no note exists.
+ */
+function readGitNoteHash(featureDir, knownHashes = []) {
+  const featuresDir = path.join(featureDir, 'tests', 'features');
+  if (!fs.existsSync(featuresDir)) return null;
 
-  if (assertionLines.length === 0) return null;
+  try {
+    const repoRoot = git(featureDir, ['rev-parse', '--show-toplevel']).trim();
+    const featuresRel = path.relative(fs.realpathSync(repoRoot), fs.realpathSync(featuresDir)).split(path.sep).join('/');
 
-  const joined = assertionLines.join('\n');
-  return crypto.createHash('sha256').update(joined, 'utf8').digest('hex');
+    const commit = git(repoRoot, ['log', '-1', '--format=%H', '--', featuresRel]).trim();
+    if (!commit) return null;
+
+    const entry = parseGitNote(git(repoRoot, ['notes', `--ref=${GIT_NOTES_REF}`, 'show', commit]).trim())
+      .find(e => e.featuresDir === featuresRel);
+    if (!entry) return null;
+
+    const dirty = git(repoRoot, ['status', '--porcelain', '--', featuresRel]).trim() !== '';
+    let partial = false;
+    if (!dirty && !knownHashes.includes(entry.hash)) {
+      const changed = hashChangedFeatureFiles(repoRoot, commit, featuresRel);
+      partial = entry.hash === changed.hash || entry.hash === changed.legacyHash;
+    }
+    return { hash: entry.hash, commit, generatedAt: entry.generatedAt, dirty, partial };
+  } catch {
+    // Not a git repo, git not installed, or no note on that commit
+    return null;
+  }
 }
 
 /**
- * Compare current assertion hash against stored hash.
+ * Compare current assertion hash against the context.json hash and, when
+ * available, the git-notes hash written by post-commit-hook.sh.
+ *
+ * context.json can be edited together with the .feature files; the git note
+ * cannot be changed without rewriting notes history. So when the note is
+ * current (no uncommitted .feature changes) and context.json disagrees with it,
+ * the status is "context-tampered" even if the files match context.json. A
+ * partial note (see readGitNoteHash) can't vouch for the whole directory, so
+ * it is reported but never decides the status.
+ *
+ * Statuses: valid, legacy, tampered, context-tampered, missing.
+ *
+ * A stored hash matching only the legacy step-only hash is "legacy": the
+ * steps are verified but Examples tables and doc strings are not, so it is
+ * not "valid". The gate fails on it unless gate.allowLegacyHashes is set for
+ * the migration period; re-running testify's store-hash upgrades it.
  *
  * @param {string|null} currentHash - Hash computed from current .feature files
  * @param {string|null} storedHash - Hash from context.json
- * @returns {{status: string, currentHash: string|null, storedHash: string|null}}
+ * @param {string|null} [legacyHash] - Legacy step-only hash of the current .feature files
+ * @param {Object|null} [gitNote] - Output of readGitNoteHash()
+ * @returns {{status: string, currentHash: string|null, storedHash: string|null, noteHash: string|null,
+ *   sources: {context: string, gitNote: string}, gitNote: Object|null}}
+ *   sources.context: valid | tampered | missing (current files vs context.json);
+ *   sources.gitNote: valid | tampered | stale | partial | missing (current files vs git note)
  */
-function checkIntegrity(currentHash, storedHash) {
-  if (!currentHash || !storedHash) {
-    return {
-      status: 'missing',
-      currentHash: currentHash || null,
-      storedHash: storedHash || null
-    };
+function checkIntegrity(currentHash, storedHash, legacyHash = null, gitNote = null) {
+  const matches = hash => !!hash && (hash === currentHash || (!!legacyHash && hash === legacyHash));
+  const isLegacy = hash => hash !== currentHash && !!legacyHash && hash === legacyHash;
+
+  const contextStatus = !currentHash || !storedHash ? 'missing' : matches(storedHash) ? 'valid' : 'tampered';
+  let noteStatus = 'missing';
+  if (currentHash && gitNote) {
+    noteStatus = gitNote.dirty ? 'stale' : matches(gitNote.hash) ? 'valid' : gitNote.partial ? 'partial' : 'tampered';
   }
 
-  return {
-    status: currentHash === storedHash ? 'valid' : 'tampered',
-    currentHash,
-    storedHash
+  const result = {
+    status: contextStatus,
+    currentHash: currentHash || null,
+    storedHash: storedHash || null,
+    noteHash: gitNote ? gitNote.hash : null,
+    sources: { context: contextStatus, gitNote: noteStatus },
+    gitNote: gitNote || null
   };
+
+  const noteAuthoritative = noteStatus === 'valid' || noteStatus === 'tampered';
+  // Both hashes describing the current files (e.g. legacy note, upgraded context.json) is not a disagreement
+  const contextDisagrees = !!storedHash && storedHash !== gitNote?.hash && !(matches(storedHash) && matches(gitNote?.hash));
+  if (noteAuthoritative && contextDisagrees) {
+    result.status = 'context-tampered';
+  } else if (contextStatus === 'missing' && noteAuthoritative) {
+    // No context.json hash — the note alone decides
+    result.status = noteStatus === 'valid' && isLegacy(gitNote.hash) ? 'legacy' : noteStatus;
+  } else if (contextStatus === 'valid' && isLegacy(storedHash)) {
+    result.status = 'legacy';
+  }
+
+  return result;
+}
+
+/**
+ * Evaluate assertion integrity for one feature: hash the concatenated .feature
+ * content and compare it against context.json and the git note. When the files
+ * no longer match context.json and it holds per-scenario hashes, the result
+ * carries a `diff` (see diffScenarios) naming the scenarios that changed.
+ *
+ * @param {string} featureDir - Absolute path to specs/<feature>
+ * @param {string} featureContent - Concatenated .feature contents, sorted by filename
+ * @param {Object|null} storedTestify - testify section of the feature's context.json
+ * @returns {Object} See checkIntegrity()
+ */
+function evaluateFeatureIntegrity(featureDir, featureContent, storedTestify) {
+  const currentHash = computeAssertionHash(featureContent);
+  const legacyHash = computeLegacyAssertionHash(featureContent);
+  const result = checkIntegrity(
+    currentHash,
+    storedTestify?.assertion_hash || null,
+    legacyHash,
+    readGitNoteHash(featureDir, [currentHash, legacyHash].filter(Boolean))
+  );
+
+  if (result.sources.context === 'tampered' && storedTestify?.scenarios) {
+    result.diff = diffScenarios(storedTestify.scenarios, computeScenarioHashes(featureContent));
+  }
+  return result;
 }
 
-module.exports = { computeAssertionHash, checkIntegrity };
+module.exports = { computeAssertionHash, computeLegacyAssertionHash, computeScenarioHashes, diffScenarios, checkIntegrity, parseGitNote, readGitNoteHash, evaluateFeatureIntegrity, GIT_NOTES_REF };
@@ -0,0 +1,236 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Reports live in specs/<feature>/tests/results/ (bats --tap, pytest --junitxml, cucumber --format json)
+
+/**
+ * @typedef {Object} TestResult
+ * @property {string} name - Test or scenario name as reported by the runner
+ * @property {string} status - "passed" | "failed" | "skipped"
+ * @property {string[]} tags - Tags reported by the runner (Cucumber only), without "@"
+ * @property {string|null} file - Project-relative path of the report it came from
+ */
+
+/**
+ * Parse TAP output. "# SKIP" and "# TODO" directives count as skipped.
+ *
+ * @param {string} content - TAP stream
+ * @returns {Array<{name: string, status: string, tags: string[]}>}
+ */
+function parseTap(content) {
+  if (!content || typeof content !== 'string') return [];
+
+  const results = [];
+  for (const line of content.split('\n')) {
+    const match = line.match(/^(not )?ok\b\s*\d*\s*(?:-\s*)?(.*)$/);
+    if (!match) continue;
+
+    let name = match[2];
+    let status = match[1] ? 'failed' : 'passed';
+    const directive = name.match(/\s+#\s*(skip|todo)\b.*$/i);
+    if (directive) {
+      name = name.slice(0, directive.index);
+      status = 'skipped';
+    }
+    results.push({ name: name.trim(), status, tags: [] });
+  }
+  return results;
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse JUnit XML. A <testcase> with a <failure> or <error> child failed, one
+ * with <skipped> was skipped, anything else passed.
+ *
+ * @param {string} content - JUnit XML document
+ * @returns {Array<{name: string, status: string, tags: string[]}>}
+ */
+function parseJUnitXml(content) {
+  if (!content || typeof content !== 'string') return [];
+
+  const results = [];
+  const testcaseRegex = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+  let match;
+  while ((match = testcaseRegex.exec(content)) !== null) {
+    const nameMatch = match[1].match(/\bname\s*=\s*"([^"]*)"/);
+    if (!nameMatch) continue;
+
+    const body = match[2] || '';
+    let status = 'passed';
+    if (/<(failure|error)\b/.test(body)) status = 'failed';
+    else if (/<skipped\b/.test(body)) status = 'skipped';
+
+    results.push({ name: decodeXmlEntities(nameMatch[1]), status, tags: [] });
+  }
+  return results;
+}
+
+/**
+ * Parse Cucumber JSON. Each scenario element becomes one result (so every
+ * Examples row of a Scenario Outline is its own result). A scenario failed if
+ * any step failed, passed if every step passed, and was skipped otherwise
+ * (skipped, pending or undefined steps).
+ *
+ * @param {string} content - Cucumber JSON report
+ * @returns {Array<{name: string, status: string, tags: string[]}>}
+ */
+function parseCucumberJson(content) {
+  let report;
+  try {
+    report = JSON.parse(content);
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(report)) return [];
+
+  const results = [];
+  for (const feature of report) {
+    for (const element of (feature && feature.elements) || []) {
+      if (element.type === 'background') continue;
+
+      const stepStatuses = [...(element.before || []), ...(element.steps || []), ...(element.after || [])]
+        .map(step => (step.result && step.result.status) || 'undefined');
+      let status = 'skipped';
+      if (stepStatuses.includes('failed')) status = 'failed';
+      else if (stepStatuses.length > 0 && stepStatuses.every(s => s === 'passed')) status = 'passed';
+
+      const tags = (element.tags || []).map(t => String(t.name || '').replace(/^@/, ''));
+      results.push({ name: element.name || '', status, tags });
+    }
+  }
+  return results;
+}
+
+/**
+ * Detect a report's format from its name and content.
+ *
+ * @param {string} filename
+ * @param {string} content
+ * @returns {string|null} "tap" | "junit" | "cucumber" | null
+ */
+function detectFormat(filename, content) {
+  const head = content.trimStart().slice(0, 200);
+  if (filename.endsWith('.tap') || /^(TAP version \d+|1\.\.\d+)/.test(head)) return 'tap';
+  if (filename.endsWith('.xml') || head.startsWith('<')) return /<testcase\b/.test(content) ? 'junit' : null;
+  if (filename.endsWith('.json') || head.startsWith('[')) return 'cucumber';
+  return null;
+}
+
+const PARSERS = { tap: parseTap, junit: parseJUnitXml, cucumber: parseCucumberJson };
+
+/**
+ * Load all test reports from a feature's tests/results/ directory.
+ *
+ * @param {string} featureDir - Path to the feature directory
+ * @param {string} [sourceDir] - Project-relative path of the results directory, recorded on each result
+ * @returns {TestResult[]}
+ */
+function loadTestResults(featureDir, sourceDir = null) {
+  const resultsDir = path.join(featureDir, 'tests', 'results');
+  if (!fs.existsSync(resultsDir)) return [];
+
+  const results = [];
+  for (const file of fs.readdirSync(resultsDir).sort()) {
+    const filePath = path.join(resultsDir, file);
+    // statSync follows symlinks; a dangling one has no entry and is skipped
+    const stat = fs.statSync(filePath, { throwIfNoEntry: false });
+    if (!stat || !stat.isFile()) continue;
+
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const format = detectFormat(file, content);
+    if (!format) continue;
+
+    for (const result of PARSERS[format](content)) {
+      results.push({ ...result, file: sourceDir ? `${sourceDir}/${file}` : file });
+    }
+  }
+  return results;
+}
+
+/**
+ * Map test results onto test spec IDs. A result is attributed, in order of preference:
+ * 1. by tag — a @TS-XXX tag reported by the runner (Cucumber)
+ * 2. by name — a TS-XXX ID in the test name, or a name equal to a scenario title
+ *    (case-insensitive; Scenario Outline rows may append " (example N)" or "-- @1.1 ...")
+ * 3. by task — a task ID in the test name (e.g. bats "T008: ..."), attributed to
+ *    the TS IDs that task references ("must pass TS-XXX" in tasks.md)
+ *
+ * When several results map to one spec, any failure makes it failed, otherwise
+ * any pass makes it passed, otherwise it is skipped.
+ *
+ * @param {TestResult[]} results
+ * @param {Array<{id: string, title: string}>} testSpecs
+ * @param {Object<string, string[]>} [taskTestRefs] - Map of taskId to testSpecIds
+ * @returns {{bySpec: Object<string, {status: string, passed: number, failed: number, skipped: number, tests: Array<{name: string, status: string, file: string|null}>}>,
+ *   unmapped: TestResult[], summary: {passed: number, failed: number, skipped: number, notRun: number, total: number}}}
+ */
+function mapResultsToSpecs(results, testSpecs, taskTestRefs = {}) {
+  const specIds = new Set(testSpecs.map(ts => ts.id));
+  const byTitle = new Map(testSpecs.map(ts => [ts.title.toLowerCase(), ts.id]));
+
+  function specsFor(result) {
+    const tagged = result.tags.filter(t => specIds.has(t));
+    if (tagged.length > 0) return tagged;
+
+    const named = (result.name.match(/TS-\d+/g) || []).filter(id => specIds.has(id));
+    if (named.length > 0) return [...new Set(named)];
+
+    const title = result.name.toLowerCase()
+      .replace(/\s+\(example \d+\)$/, '')
+      .replace(/\s+--\s+@[\d.]+.*$/, '')
+      .trim();
+    if (byTitle.has(title)) return [byTitle.get(title)];
+
+    const viaTasks = (result.name.match(/\bT(?:-B)?\d+\b/g) || [])
+      .flatMap(taskId => taskTestRefs[taskId] || [])
+      .filter(id => specIds.has(id));
+    return [...new Set(viaTasks)];
+  }
+
+  const bySpec = {};
+  const unmapped = [];
+  for (const result of results) {
+    const ids = specsFor(result);
+    if (ids.length === 0) {
+      unmapped.push(result);
+      continue;
+    }
+    for (const id of ids) {
+      if (!bySpec[id]) bySpec[id] = { status: 'skipped', passed: 0, failed: 0, skipped: 0, tests: [] };
+      bySpec[id][result.status]++;
+      bySpec[id].tests.push({ name: result.name, status: result.status, file: result.file });
+    }
+  }
+
+  for (const entry of Object.values(bySpec)) {
+    entry.status = entry.failed > 0 ? 'failed' : entry.passed > 0 ? 'passed' : 'skipped';
+  }
+
+  const summary = { passed: 0, failed: 0, skipped: 0, notRun: 0, total: testSpecs.length };
+  for (const ts of testSpecs) {
+    if (bySpec[ts.id]) summary[bySpec[ts.id].status]++;
+    else summary.notRun++;
+  }
+
+  return { bySpec, unmapped, summary };
+}
+
+module.exports = {
+  parseTap,
+  parseJUnitXml,
+  parseCucumberJson,
+  detectFormat,
+  loadTestResults,
+  mapResultsToSpecs
+};
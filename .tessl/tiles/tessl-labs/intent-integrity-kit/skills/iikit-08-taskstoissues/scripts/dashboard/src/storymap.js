@@ -2,7 +2,9 @@
 
 const fs = require('fs');
 const path = require('path');
-const { parseSpecStories, parseRequirements, parseSuccessCriteria, parseClarifications, parseStoryRequirementRefs } = require('./parser');
+const { parseSpecStories, parseRequirements, parseSuccessCriteria, parseClarifications, parseStoryRequirementRefs, toSourcePath } = require('./parser');
+const { featureDirPath } = require('./config');
+const { readText } = require('./files');
 
 /**
  * Compute story map state for a feature by parsing spec.md.
@@ -12,18 +14,19 @@ const { parseSpecStories, parseRequirements, parseSuccessCriteria, parseClarific
  * @returns {{stories: Array, requirements: Array, successCriteria: Array, clarifications: Array, edges: Array}}
  */
 function computeStoryMapState(projectPath, featureId) {
-  const featureDir = path.join(projectPath, 'specs', featureId);
+  const featureDir = featureDirPath(projectPath, featureId);
   const specPath = path.join(featureDir, 'spec.md');
 
   if (!fs.existsSync(specPath)) {
     return { stories: [], requirements: [], successCriteria: [], clarifications: [], edges: [] };
   }
 
-  const content = fs.readFileSync(specPath, 'utf-8');
+  const content = readText(specPath);
+  const source = toSourcePath(projectPath, specPath);
 
-  const rawStories = parseSpecStories(content);
-  const requirements = parseRequirements(content);
-  const successCriteria = parseSuccessCriteria(content);
+  const rawStories = parseSpecStories(content, source);
+  const requirements = parseRequirements(content, source);
+  const successCriteria = parseSuccessCriteria(content, source);
   const clarifications = parseClarifications(content);
   const edges = parseStoryRequirementRefs(content);
 
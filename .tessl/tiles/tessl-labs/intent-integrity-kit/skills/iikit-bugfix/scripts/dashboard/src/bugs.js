@@ -2,7 +2,9 @@
 
 const fs = require('fs');
 const path = require('path');
-const { parseBugs, parseTasks } = require('./parser');
+const { parseBugs, parseTasks, toSourcePath } = require('./parser');
+const { featureDirPath } = require('./config');
+const { readText } = require('./files');
 
 const SEVERITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
 
@@ -49,7 +51,7 @@ function resolveGitHubIssueUrl(issueRef, repoUrl) {
  * @returns {{exists: boolean, bugs: Array, orphanedTasks: Array, summary: Object, repoUrl: string|null}}
  */
 function computeBugsState(projectPath, featureId) {
-  const featureDir = path.join(projectPath, 'specs', featureId);
+  const featureDir = featureDirPath(projectPath, featureId);
   const bugsPath = path.join(featureDir, 'bugs.md');
   const tasksPath = path.join(featureDir, 'tasks.md');
 
@@ -65,12 +67,12 @@ function computeBugsState(projectPath, featureId) {
     return { exists: false, bugs: [], orphanedTasks: [], summary: emptySummary, repoUrl: null };
   }
 
-  const bugsContent = fs.readFileSync(bugsPath, 'utf-8');
-  const bugs = parseBugs(bugsContent);
+  const bugsContent = readText(bugsPath);
+  const bugs = parseBugs(bugsContent, toSourcePath(projectPath, bugsPath));
 
   // Parse tasks for fix task cross-referencing
-  const tasksContent = fs.existsSync(tasksPath) ? fs.readFileSync(tasksPath, 'utf-8') : '';
-  const allTasks = parseTasks(tasksContent);
+  const tasksContent = readText(tasksPath) || '';
+  const allTasks = parseTasks(tasksContent, toSourcePath(projectPath, tasksPath));
   const bugFixTasks = allTasks.filter(t => t.isBugFix && t.bugTag);
 
   // Build lookup: BUG-NNN -> [task, ...]
@@ -92,7 +94,8 @@ function computeBugsState(projectPath, featureId) {
       tasks: tasks.map(t => ({
         id: t.id,
         description: t.description,
-        checked: t.checked
+        checked: t.checked,
+        source: t.source
       }))
     };
   }
@@ -109,7 +112,7 @@ function computeBugsState(projectPath, featureId) {
   // Detect orphaned tasks (T-B tasks referencing non-existent BUG-NNN)
   const orphanedTasks = bugFixTasks
     .filter(t => !bugIds.has(t.bugTag))
-    .map(t => ({ id: t.id, bugTag: t.bugTag, description: t.description, checked: t.checked }));
+    .map(t => ({ id: t.id, bugTag: t.bugTag, description: t.description, checked: t.checked, source: t.source }));
 
   // Compute summary
   const openBugs = bugs.filter(b => b.status !== 'fixed');
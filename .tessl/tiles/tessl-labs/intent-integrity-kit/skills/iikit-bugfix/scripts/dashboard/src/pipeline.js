@@ -2,8 +2,12 @@
 
 const fs = require('fs');
 const path = require('path');
-const { parseTasks, parseChecklists, parseConstitutionTDD, hasClarifications, countClarifications } = require('./parser');
+const { parseTaskPhases, parseTasks, parseChecklists, parseConstitutionTDD, hasClarifications, countClarifications } = require('./parser');
 const { getFeatureFiles } = require('./testify');
+const { computePhaseProgress } = require('./board');
+const { computeStaleness } = require('./staleness');
+const { loadConfig, featureDirPath } = require('./config');
+const { readText } = require('./files');
 
 /**
  * Compute pipeline phase states for a feature by examining artifacts on disk.
@@ -11,9 +15,12 @@ const { getFeatureFiles } = require('./testify');
  * @param {string} projectPath - Path to the project root
  * @param {string} featureId - Feature directory name (e.g., "001-kanban-board")
  * @returns {{phases: Array<{id: string, name: string, status: string, progress: string|null, optional: boolean}>}}
+ *   The implement phase also carries taskPhases: per-phase progress of tasks.md (see computePhaseProgress).
+ *   Spec, plan, tasks and analyze are "stale" instead of "complete" when an upstream artifact changed after
+ *   them; they then carry invalidatedBy: the upstream changes (see computeStaleness).
  */
 function computePipelineState(projectPath, featureId) {
-  const featureDir = path.join(projectPath, 'specs', featureId);
+  const featureDir = featureDirPath(projectPath, featureId);
   const constitutionPath = path.join(projectPath, 'CONSTITUTION.md');
   const specPath = path.join(featureDir, 'spec.md');
   const planPath = path.join(featureDir, 'plan.md');
@@ -31,39 +38,40 @@ function computePipelineState(projectPath, featureId) {
   const analysisExists = fs.existsSync(analysisPath);
 
   // Read spec content for clarifications check
-  const specContent = specExists ? fs.readFileSync(specPath, 'utf-8') : '';
+  const specContent = specExists ? readText(specPath) : '';
 
   // Read plan content for clarifications check
-  const planContent = planExists ? fs.readFileSync(planPath, 'utf-8') : '';
+  const planContent = planExists ? readText(planPath) : '';
 
   // Parse tasks for implement progress
-  const tasksContent = tasksExists ? fs.readFileSync(tasksPath, 'utf-8') : '';
+  const tasksContent = tasksExists ? readText(tasksPath) : '';
   const tasks = parseTasks(tasksContent);
   const checkedCount = tasks.filter(t => t.checked).length;
   const totalCount = tasks.length;
+  const taskPhases = computePhaseProgress(parseTaskPhases(tasksContent), tasks);
 
   // Parse checklists
-  const checklistStatus = parseChecklists(checklistDir);
+  const checklistStatus = parseChecklists(checklistDir, loadConfig(projectPath).checklists.exclude);
 
   // Read constitution content for clarifications check
-  const constitutionContent = constitutionExists ? fs.readFileSync(constitutionPath, 'utf-8') : '';
+  const constitutionContent = constitutionExists ? readText(constitutionPath) : '';
 
   // Read checklist content for clarifications check
   let checklistContent = '';
   if (fs.existsSync(checklistDir)) {
     const clFiles = fs.readdirSync(checklistDir).filter(f => f.endsWith('.md'));
-    checklistContent = clFiles.map(f => fs.readFileSync(path.join(checklistDir, f), 'utf-8')).join('\n');
+    checklistContent = clFiles.map(f => readText(path.join(checklistDir, f))).join('\n');
   }
 
   // Read analysis content for clarifications check
-  const analysisContent = analysisExists ? fs.readFileSync(analysisPath, 'utf-8') : '';
+  const analysisContent = analysisExists ? readText(analysisPath) : '';
 
   // TDD requirement check — read from .specify/context.json first, fallback to parsing
   const contextPath = path.join(projectPath, '.specify', 'context.json');
   let tddRequired = false;
   if (fs.existsSync(contextPath)) {
     try {
-      const ctx = JSON.parse(fs.readFileSync(contextPath, 'utf-8'));
+      const ctx = JSON.parse(readText(contextPath));
       if (ctx.tdd_determination) {
         tddRequired = ctx.tdd_determination === 'mandatory';
       } else {
@@ -161,10 +169,20 @@ function computePipelineState(projectPath, featureId) {
         ? `${Math.round((checkedCount / totalCount) * 100)}%`
         : null,
       optional: false,
-      clarifications: 0
+      clarifications: 0,
+      taskPhases
     }
   ];
 
+  const staleness = computeStaleness(projectPath, featureId).phases;
+  for (const phase of phases) {
+    const state = staleness[phase.id];
+    if (phase.status === 'complete' && state && state.stale) {
+      phase.status = 'stale';
+      phase.invalidatedBy = state.upstream;
+    }
+  }
+
   return { phases };
 }
 
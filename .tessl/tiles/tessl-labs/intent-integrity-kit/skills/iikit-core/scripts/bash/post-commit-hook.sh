@@ -76,9 +76,10 @@ if [[ -n "$COMMITTED_FEATURE_FILES" ]]; then
     done <<< "$COMMITTED_FEATURE_FILES"
 
     for FEAT_DIR in "${!COMMITTED_FEAT_DIRS[@]}"; do
-        # Extract all committed .feature files for this feature to temp dir
+        # Extract every .feature file of this feature from the HEAD tree, not only
+        # the ones this commit changed: the note must cover the whole directory
         TEMP_FEATURES_DIR=$(mktemp -d)
-        FEAT_FILES=$(echo "$COMMITTED_FEATURE_FILES" | grep "^$FEAT_DIR/")
+        FEAT_FILES=$(git ls-tree --name-only HEAD -- "$FEAT_DIR/tests/features/" 2>/dev/null | grep -E '\.feature$') || true
         while IFS= read -r committed_path; do
             [[ -z "$committed_path" ]] && continue
             BASENAME=$(basename "$committed_path")
@@ -235,6 +235,16 @@ if [[ -n "$STAGED_FEATURE_FILES" ]]; then
 
         # Compute combined hash of the full reconstructed directory
         CURRENT_HASH=$(compute_assertion_hash "$TEMP_FEATURES_DIR")
+        LEGACY_HASH=$(compute_assertion_hash "$TEMP_FEATURES_DIR" legacy)
+
+        # Staged files with table rows or doc strings: content a legacy step-only hash doesn't cover
+        STAGED_HAS_TABLES=false
+        while IFS= read -r staged_path; do
+            [[ -z "$staged_path" ]] && continue
+            if grep -qE '^[[:space:]]*(\||"""|```)' "$TEMP_FEATURES_DIR/$(basename "$staged_path")" 2>/dev/null; then
+                STAGED_HAS_TABLES=true
+            fi
+        done <<< "$STAGED_FOR_FEAT"
         rm -rf "$TEMP_FEATURES_DIR"
 
         if [[ "$CURRENT_HASH" == "NO_ASSERTIONS" ]]; then
@@ -262,8 +272,11 @@ if [[ -n "$STAGED_FEATURE_FILES" ]]; then
             STORED_DIR=$(echo "$CONTEXT_JSON" | jq -r '.testify.features_dir // ""' 2>/dev/null || echo "")
 
             if [[ -n "$STORED_HASH" ]] && [[ -n "$STORED_DIR" ]]; then
+                # A step-only hash from before tables and doc strings were hashed (see assertion_hash_status)
                 if [[ "$STORED_HASH" == "$CURRENT_HASH" ]]; then
                     CONTEXT_STATUS="valid"
+                elif [[ "$STORED_HASH" == "$LEGACY_HASH" ]]; then
+                    CONTEXT_STATUS="legacy"
                 else
                     CONTEXT_STATUS="invalid"
                 fi
@@ -274,8 +287,8 @@ if [[ -n "$STAGED_FEATURE_FILES" ]]; then
         HASH_STATUS="missing"
         if [[ "$CONTEXT_STAGED" == true ]] && [[ "$CONTEXT_STATUS" == "valid" ]]; then
             HASH_STATUS="valid"
-        elif [[ "$CONTEXT_STATUS" == "invalid" ]]; then
-            HASH_STATUS="invalid"
+        elif [[ "$CONTEXT_STATUS" == "invalid" ]] || [[ "$CONTEXT_STATUS" == "legacy" ]]; then
+            HASH_STATUS="$CONTEXT_STATUS"
         elif [[ "$CONTEXT_STATUS" == "valid" ]]; then
             HASH_STATUS="valid"
         fi
@@ -290,6 +303,15 @@ if [[ -n "$STAGED_FEATURE_FILES" ]]; then
                 BLOCK_MESSAGES+=("  .feature file assertions have been modified since /iikit-04-testify generated them.")
                 BLOCK_MESSAGES+=("  Re-run /iikit-04-testify to regenerate .feature files.")
                 ;;
+            legacy)
+                echo "[iikit] Warning: $FEAT_DIR/tests/features/ — stored assertion hash is a legacy step-only hash" >&2
+                echo "[iikit]   Examples table values and doc strings are not covered by it." >&2
+                if [[ "$STAGED_HAS_TABLES" == true ]]; then
+                    BLOCKED=true
+                    BLOCK_MESSAGES+=("BLOCKED: $FEAT_DIR/tests/features/ — legacy assertion hash cannot verify staged Examples rows or doc strings")
+                    BLOCK_MESSAGES+=("  Re-run /iikit-04-testify (testify-tdd.sh store-hash) to store a hash that covers them.")
+                fi
+                ;;
             missing)
                 if [[ "$TDD_DETERMINATION" == "mandatory" ]]; then
                     echo "[iikit] Warning: $FEAT_DIR/tests/features/ — no stored assertion hash found (TDD is mandatory)" >&2
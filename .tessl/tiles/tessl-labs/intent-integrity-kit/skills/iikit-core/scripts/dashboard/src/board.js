@@ -61,7 +61,8 @@ function computeBoardState(stories, tasks) {
       priority: story.priority,
       tasks: storyTasks,
       progress: `${checkedCount}/${totalCount}`,
-      column
+      column,
+      source: story.source || null
     };
 
     board[column].push(card);
@@ -123,4 +124,66 @@ function computeBoardState(stories, tasks) {
   return board;
 }
 
-module.exports = { computeBoardState };
+/**
+ * Compute per-phase progress from tasks.md phases (## Phase N: ...).
+ *
+ * A checkpoint is reached once every task above it in its phase is checked.
+ * A phase is blocked while an earlier phase still has an unreached checkpoint.
+ *
+ * @param {Array<{number: number, title: string, checkpoints: Array<{text: string, line: number}>, source: Object}>} phases - From parseTaskPhases
+ * @param {Array<{id: string, checked: boolean, parallel: boolean, phase: number|null, checkpoint: string|null}>} tasks - From parseTasks
+ * @returns {Array<{number: number, title: string, taskIds: string[], progress: string, status: string, parallelCount: number,
+ *   checkpoints: Array<{text: string, line: number, reached: boolean}>, blocked: boolean, blockedBy: {phase: number, checkpoint: string}|null, source: Object}>}
+ */
+function computePhaseProgress(phases, tasks) {
+  if (!phases || !Array.isArray(phases)) return [];
+  if (!tasks) tasks = [];
+
+  const result = [];
+  let pendingCheckpoint = null;
+
+  for (const phase of phases) {
+    const phaseTasks = tasks.filter(t => t.phase === phase.number);
+    const checkedCount = phaseTasks.filter(t => t.checked).length;
+    const totalCount = phaseTasks.length;
+
+    let status;
+    if (totalCount === 0 || checkedCount === 0) {
+      status = 'not_started';
+    } else if (checkedCount === totalCount) {
+      status = 'complete';
+    } else {
+      status = 'in_progress';
+    }
+
+    const checkpoints = phase.checkpoints.map(c => ({
+      text: c.text,
+      line: c.line,
+      reached: phaseTasks.filter(t => t.checkpoint === c.text).every(t => t.checked)
+    }));
+
+    const blockedBy = status !== 'complete' ? pendingCheckpoint : null;
+
+    result.push({
+      number: phase.number,
+      title: phase.title,
+      taskIds: phaseTasks.map(t => t.id),
+      progress: `${checkedCount}/${totalCount}`,
+      status,
+      parallelCount: phaseTasks.filter(t => t.parallel).length,
+      checkpoints,
+      blocked: blockedBy !== null,
+      blockedBy,
+      source: phase.source || null
+    });
+
+    if (!pendingCheckpoint) {
+      const unreached = checkpoints.find(c => !c.reached);
+      if (unreached) pendingCheckpoint = { phase: phase.number, checkpoint: unreached.text };
+    }
+  }
+
+  return result;
+}
+
+module.exports = { computeBoardState, computePhaseProgress };
@@ -0,0 +1,298 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+  GRAMMAR,
+  toSourcePath,
+  parseSpecStories,
+  parseTasks,
+  parseRequirements,
+  parseSuccessCriteria,
+  parseStoryRequirementRefs,
+  parseTestSpecs,
+  parseTaskTestRefs,
+  parseBugs,
+  parseChecklistsDetailed,
+  locateSection,
+  parseMarkdownTableRows
+} = require('./parser');
+const { getFeatureFiles } = require('./testify');
+const { loadConfig, featureDirPath, featureSourceDir } = require('./config');
+
+/**
+ * Artifact linter for IIKit markdown.
+ *
+ * The parsers are deliberately permissive and drop anything that doesn't match
+ * their grammar. The linter reuses the same grammar (parser.js GRAMMAR) to report
+ * what was dropped, plus duplicate IDs and references to IDs that don't exist.
+ *
+ * Severities:
+ * - error: an entity was silently dropped or is ambiguous (near-miss syntax, duplicate ID, short table row)
+ * - warning: a reference points at an ID that doesn't exist
+ */
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {string} severity - "error" | "warning"
+ * @property {string} rule - Rule ID (e.g. "task-syntax")
+ * @property {string} file - Project-relative path
+ * @property {number} line - 1-based line number
+ * @property {string} message
+ */
+
+function readIfExists(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : '';
+}
+
+/**
+ * Report lines that look like an entity but don't match its grammar.
+ *
+ * @param {string} content - File content
+ * @param {string} file - Project-relative path
+ * @param {RegExp} candidate - Loose pattern for lines that intend to be this entity
+ * @param {RegExp} grammar - Exact parser grammar
+ * @param {string} rule - Rule ID
+ * @param {Function} explain - (line) => message
+ * @returns {Diagnostic[]}
+ */
+function findNearMisses(content, file, candidate, grammar, rule, explain) {
+  const diagnostics = [];
+  const lines = content.split('\n');
+  let inCodeBlock = false;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^\s*```/.test(line)) inCodeBlock = !inCodeBlock;
+    if (inCodeBlock) continue;
+    if (candidate.test(line) && !grammar.test(line)) {
+      diagnostics.push({ severity: 'error', rule, file, line: i + 1, message: explain(line) });
+    }
+  }
+  return diagnostics;
+}
+
+/**
+ * Report every occurrence after the first of an ID that appears more than once.
+ *
+ * @param {Array<{id: string, source: {file: string, line: number}}>} entities
+ * @param {string} kind - Human-readable entity kind for the message
+ * @returns {Diagnostic[]}
+ */
+function findDuplicates(entities, kind) {
+  const diagnostics = [];
+  const firstSeen = new Map();
+  for (const entity of entities) {
+    const first = firstSeen.get(entity.id);
+    if (!first) {
+      firstSeen.set(entity.id, entity.source);
+      continue;
+    }
+    diagnostics.push({
+      severity: 'error',
+      rule: 'duplicate-id',
+      file: entity.source.file,
+      line: entity.source.line,
+      message: `Duplicate ${kind} ${entity.id} (first defined at ${first.file}:${first.line})`
+    });
+  }
+  return diagnostics;
+}
+
+function explainStoryHeading(line) {
+  if (!/\(Priority: P\d+\)/.test(line)) return 'User story heading is missing "(Priority: PX)" and will not appear on the board';
+  if (!/User Story \d+ - /.test(line)) return 'User story heading must read "### User Story N - Title (Priority: PX)"';
+  return 'User story heading does not match "### User Story N - Title (Priority: PX)"';
+}
+
+function explainTask(line) {
+  if (/\[X\]/.test(line)) return 'Task checkbox uses uppercase [X]; only [x] is recognized, so this task is ignored';
+  if (/^\s*[*+] \[/.test(line)) return 'Task uses a "*" or "+" bullet; only "- [ ]" tasks are recognized';
+  if (/\[[^\] xX]\]|\[\s{2,}\]|\[\]/.test(line)) return 'Task checkbox must be "[ ]" or "[x]"';
+  return 'Task line does not match "- [ ] T001 [P] [US1] Description" and is ignored';
+}
+
+function explainRequirement(line) {
+  return `Requirement does not match "- **${/SC-/.test(line) ? 'SC' : 'FR'}-001**: text" and is ignored`;
+}
+
+/**
+ * Lint one feature's artifacts.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {string} featureId - Feature directory name
+ * @returns {Diagnostic[]}
+ */
+function lintFeature(projectPath, featureId) {
+  const featureDir = featureDirPath(projectPath, featureId);
+  const rel = f => toSourcePath(projectPath, f);
+  const specPath = path.join(featureDir, 'spec.md');
+  const tasksPath = path.join(featureDir, 'tasks.md');
+  const bugsPath = path.join(featureDir, 'bugs.md');
+  const analysisPath = path.join(featureDir, 'analysis.md');
+
+  const specContent = readIfExists(specPath);
+  const tasksContent = readIfExists(tasksPath);
+  const bugsContent = readIfExists(bugsPath);
+  const analysisContent = readIfExists(analysisPath);
+
+  const diagnostics = [];
+
+  // --- spec.md ---
+  const stories = parseSpecStories(specContent, rel(specPath));
+  const requirements = parseRequirements(specContent, rel(specPath));
+  const criteria = parseSuccessCriteria(specContent, rel(specPath));
+  diagnostics.push(
+    ...findNearMisses(specContent, rel(specPath), /^#{2,4}\s*User Story/i, GRAMMAR.storyHeading, 'story-heading', explainStoryHeading),
+    ...findNearMisses(specContent, rel(specPath), /^\s*[-*]\s+\**FR-\d+/, GRAMMAR.requirement, 'requirement-syntax', explainRequirement),
+    ...findNearMisses(specContent, rel(specPath), /^\s*[-*]\s+\**SC-\d+/, GRAMMAR.successCriterion, 'requirement-syntax', explainRequirement),
+    ...findDuplicates(stories, 'user story'),
+    ...findDuplicates(requirements, 'requirement'),
+    ...findDuplicates(criteria, 'success criterion')
+  );
+
+  const storyIds = new Set(stories.map(s => s.id));
+  const reqIds = new Set([...requirements, ...criteria].map(r => r.id));
+  const specLines = specContent.split('\n');
+  for (const edge of parseStoryRequirementRefs(specContent)) {
+    if (reqIds.has(edge.to)) continue;
+    const story = stories.find(s => s.id === edge.from);
+    const mentions = new RegExp(`\\b${edge.to}\\b`);
+    // Falls back to the story heading when no whole-word match follows it (e.g. "FR-001a")
+    const lineIdx = specLines.findIndex((l, i) => i >= story.source.line - 1 && mentions.test(l));
+    diagnostics.push({
+      severity: 'warning', rule: 'unknown-reference', file: rel(specPath), line: lineIdx >= 0 ? lineIdx + 1 : story.source.line,
+      message: `${edge.from} references ${edge.to}, which is not defined in Functional Requirements`
+    });
+  }
+
+  // --- .feature files ---
+  const testSpecs = [];
+  for (const featureFile of getFeatureFiles(featureDir)) {
+    const specs = parseTestSpecs(fs.readFileSync(featureFile, 'utf-8'), rel(featureFile));
+    testSpecs.push(...specs);
+
+    // Scenarios without an @TS-XXX tag are dropped by parseTestSpecs
+    const lines = fs.readFileSync(featureFile, 'utf-8').split('\n');
+    const parsedLines = new Set(specs.map(s => s.source.line));
+    lines.forEach((line, i) => {
+      if (/^\s*Scenario(?: Outline)?:/.test(line) && !parsedLines.has(i + 1)) {
+        diagnostics.push({
+          severity: 'error', rule: 'scenario-id', file: rel(featureFile), line: i + 1,
+          message: 'Scenario has no @TS-XXX tag and is ignored by traceability'
+        });
+      }
+    });
+  }
+  diagnostics.push(...findDuplicates(testSpecs, 'test spec'));
+  for (const ts of testSpecs) {
+    for (const reqId of ts.traceability) {
+      if (!reqIds.has(reqId)) {
+        diagnostics.push({
+          severity: 'warning', rule: 'unknown-reference', file: ts.source.file, line: ts.source.line,
+          message: `${ts.id} is tagged @${reqId}, which is not defined in spec.md`
+        });
+      }
+    }
+  }
+  const tsIds = new Set(testSpecs.map(t => t.id));
+
+  // --- bugs.md ---
+  const bugs = parseBugs(bugsContent, rel(bugsPath));
+  diagnostics.push(
+    ...findNearMisses(bugsContent, rel(bugsPath), /^#{1,4}\s*BUG/i, GRAMMAR.bugHeading, 'bug-heading',
+      () => 'Bug heading must be exactly "## BUG-NNN"; this bug is ignored'),
+    ...findDuplicates(bugs, 'bug')
+  );
+  const bugIds = new Set(bugs.map(b => b.id));
+
+  // --- tasks.md ---
+  const tasks = parseTasks(tasksContent, rel(tasksPath));
+  diagnostics.push(
+    ...findNearMisses(tasksContent, rel(tasksPath), /^\s*[-*+]\s*\[.?\s*\]?\s*T(?:-B)?\d+/, GRAMMAR.task, 'task-syntax', explainTask),
+    ...findDuplicates(tasks, 'task')
+  );
+  for (const task of tasks) {
+    const at = { file: task.source.file, line: task.source.line };
+    if (task.storyTag && !storyIds.has(task.storyTag)) {
+      diagnostics.push({ severity: 'warning', rule: 'unknown-reference', ...at, message: `${task.id} is tagged [${task.storyTag}], which is not a user story in spec.md` });
+    }
+    if (task.bugTag && !bugIds.has(task.bugTag)) {
+      diagnostics.push({ severity: 'warning', rule: 'unknown-reference', ...at, message: `${task.id} is tagged [${task.bugTag}], which is not defined in bugs.md` });
+    }
+    if (tsIds.size > 0) {
+      // Per task rather than per ID so a duplicated task ID doesn't hide references
+      for (const tsId of parseTaskTestRefs([task])[task.id]) {
+        if (!tsIds.has(tsId)) {
+          diagnostics.push({ severity: 'warning', rule: 'unknown-reference', ...at, message: `${task.id} references ${tsId}, which is not a scenario in tests/features` });
+        }
+      }
+    }
+  }
+
+  // --- checklists ---
+  const checklistDir = path.join(featureDir, 'checklists');
+  const checklistSource = `${featureSourceDir(projectPath, featureId)}/checklists`;
+  for (const file of parseChecklistsDetailed(checklistDir, checklistSource, loadConfig(projectPath).checklists.exclude)) {
+    const withIds = file.items.filter(item => item.chkId).map(item => ({ id: item.chkId, source: item.source }));
+    diagnostics.push(...findDuplicates(withIds, 'checklist item'));
+  }
+
+  // --- analysis.md: table rows too short for their parser are dropped ---
+  const tableMinimums = [
+    ['Findings', 6],
+    ['Coverage Summary', 3],
+    ['Constitution Alignment', 3],
+    ['Phase Separation Violations', 2]
+  ];
+  for (const [heading, minCells] of tableMinimums) {
+    const section = locateSection(analysisContent, heading);
+    if (!section) continue;
+    for (const row of parseMarkdownTableRows(section.text, section.firstLine)) {
+      if (row.cells.length < minCells) {
+        diagnostics.push({
+          severity: 'error', rule: 'table-row', file: rel(analysisPath), line: row.line,
+          message: `${heading} row has ${row.cells.length} cell(s), expected at least ${minCells}; row is dropped`
+        });
+      }
+    }
+  }
+
+  return diagnostics.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+}
+
+/**
+ * Lint every feature (or a subset) of a project.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {string[]} featureIds - Features to lint
+ * @returns {{diagnostics: Diagnostic[], summary: {errors: number, warnings: number, features: number}}}
+ */
+function lintProject(projectPath, featureIds) {
+  const diagnostics = [];
+  for (const fid of featureIds) {
+    diagnostics.push(...lintFeature(projectPath, fid));
+  }
+  return {
+    diagnostics,
+    summary: {
+      errors: diagnostics.filter(d => d.severity === 'error').length,
+      warnings: diagnostics.filter(d => d.severity === 'warning').length,
+      features: featureIds.length
+    }
+  };
+}
+
+/**
+ * Format lint results as compiler-style text (file:line: severity [rule] message).
+ *
+ * @param {Object} result - Output of lintProject()
+ * @returns {string}
+ */
+function formatLintText(result) {
+  const lines = result.diagnostics.map(d => `${d.file}:${d.line}: ${d.severity} [${d.rule}] ${d.message}`);
+  const { errors, warnings, features } = result.summary;
+  lines.push(`${errors} error(s), ${warnings} warning(s) in ${features} feature(s)`);
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { lintFeature, lintProject, formatLintText };
@@ -0,0 +1,150 @@
+'use strict';
+
+const http = require('http');
+
+// /api/<view>/<featureId> route name -> featureData key
+const FEATURE_VIEWS = {
+  pipeline: 'pipeline',
+  board: 'board',
+  bugs: 'bugs',
+  checklist: 'checklist',
+  testify: 'testify',
+  taskgraph: 'taskGraph',
+  storymap: 'storyMap',
+  planview: 'planView',
+  analyze: 'analyze',
+  history: 'history'
+};
+
+const HEARTBEAT_MS = 30000;
+
+// Host header names the server answers to (see createDashboardServer)
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+function isLocalHost(hostHeader) {
+  if (!hostHeader) return false;
+  const hostname = hostHeader.replace(/:\d+$/, '').toLowerCase();
+  return LOCAL_HOSTS.has(hostname);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the HTTP layer for `generate-dashboard.js serve`.
+ *
+ * Serves the dashboard HTML, the per-view JSON routes used by the template's
+ * fetch mode, and a Server-Sent Events stream at /api/events. Data comes from
+ * the caller so this module stays free of parsing concerns. Requests whose
+ * Host header isn't localhost are refused, so a DNS-rebinding page can't
+ * read the project through the browser.
+ *
+ * @param {Object} source
+ * @param {Function} source.getHtml - Returns the current dashboard HTML string
+ * @param {Function} source.getData - Returns the current DASHBOARD_DATA object
+ * @returns {{server: http.Server, listen: Function, broadcast: Function, close: Function}}
+ */
+function createDashboardServer({ getHtml, getData }) {
+  const clients = new Set();
+
+  const server = http.createServer((req, res) => {
+    if (!isLocalHost(req.headers.host)) {
+      sendJson(res, 403, { error: 'Forbidden host' });
+      return;
+    }
+
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/' || pathname === '/dashboard.html') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(getHtml());
+      return;
+    }
+
+    if (pathname === '/api/events') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive'
+      });
+      res.write('retry: 2000\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    const data = getData();
+    const routeMatch = pathname.match(/^\/api\/([a-z]+)(?:\/([^/]+))?$/);
+    if (!routeMatch) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    const [, route, featureId] = routeMatch;
+    if (!featureId) {
+      if (route === 'meta') return sendJson(res, 200, data.meta);
+      if (route === 'features') return sendJson(res, 200, data.features);
+      if (route === 'constitution') return sendJson(res, 200, data.constitution);
+      if (route === 'premise') return sendJson(res, 200, data.premise);
+    } else if (FEATURE_VIEWS[route]) {
+      let id;
+      try {
+        id = decodeURIComponent(featureId);
+      } catch {
+        return sendJson(res, 400, { error: `Malformed feature ID: ${featureId}` });
+      }
+      if (Object.prototype.hasOwnProperty.call(data.featureData, id)) {
+        return sendJson(res, 200, data.featureData[id][FEATURE_VIEWS[route]]);
+      }
+      return sendJson(res, 404, { error: `Feature not found: ${id}` });
+    }
+    sendJson(res, 404, { error: 'Not found' });
+  });
+
+  // Comment lines keep idle streams open through proxies and sleep/wake cycles
+  const heartbeat = setInterval(() => {
+    for (const client of clients) client.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  return {
+    server,
+
+    /**
+     * Start listening. Resolves with the bound port (useful when port is 0).
+     */
+    listen(port, host) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.removeListener('error', reject);
+          resolve(server.address().port);
+        });
+      });
+    },
+
+    /**
+     * Push an event to every connected browser.
+     */
+    broadcast(event, payload) {
+      const message = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+      for (const client of clients) client.write(message);
+    },
+
+    close() {
+      clearInterval(heartbeat);
+      for (const client of clients) client.end();
+      clients.clear();
+      server.close();
+    }
+  };
+}
+
+module.exports = { createDashboardServer };
@@ -0,0 +1,255 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseTasks, toSourcePath } = require('./parser');
+const { featureDirPath } = require('./config');
+const { readText } = require('./files');
+
+// "depends on T012", "depends on T012, T013 and T-B001"
+const DEPENDS_ON = /depends on\s+((?:T(?:-B)?\d+)(?:\s*(?:,|and|&)\s*T(?:-B)?\d+)*)/gi;
+
+/**
+ * Extract explicit dependencies from a task description.
+ *
+ * @param {string} description
+ * @returns {string[]} Task IDs named in "depends on ..." phrases
+ */
+function parseExplicitDependencies(description) {
+  if (!description) return [];
+
+  const deps = [];
+  let match;
+  DEPENDS_ON.lastIndex = 0;
+  while ((match = DEPENDS_ON.exec(description)) !== null) {
+    // The phrase matches case-insensitively, so normalize "t012" to "T012"
+    for (const id of match[1].match(/T(?:-B)?\d+/gi).map(ref => ref.toUpperCase())) {
+      if (!deps.includes(id)) deps.push(id);
+    }
+  }
+  return deps;
+}
+
+/**
+ * Build the task dependency DAG.
+ *
+ * Edges come from three sources:
+ * - sequence: within a phase, a task without [P] waits for the task before it,
+ *   or for every [P] task started since then; a [P] task waits only for the
+ *   last sequential task (so consecutive [P] tasks run side by side)
+ * - phase: the first tasks of a phase wait for the last tasks of the previous phase
+ * - explicit: "depends on TXXX" in the task description
+ *
+ * Tasks outside any "## Phase N:" section are treated as one phase.
+ *
+ * @param {Array<{id: string, parallel: boolean, phase: number|null, description: string}>} tasks - From parseTasks
+ * @returns {Array<{from: string, to: string, type: string}>} Edges from prerequisite to dependent task
+ */
+function buildTaskEdges(tasks) {
+  const edges = [];
+  const ids = new Set(tasks.map(t => t.id));
+  const seen = new Set();
+
+  function addEdge(from, to, type) {
+    const key = `${from}->${to}`;
+    if (from === to || seen.has(key)) return;
+    seen.add(key);
+    edges.push({ from, to, type });
+  }
+
+  let previousExits = [];
+  let currentPhase;
+  let base = [];
+  let baseType = 'phase';
+  let open = [];
+
+  function closePhase() {
+    if (currentPhase === undefined) return;
+    previousExits = open.length > 0 ? open : base;
+  }
+
+  for (const task of tasks) {
+    if (task.phase !== currentPhase) {
+      closePhase();
+      currentPhase = task.phase;
+      base = previousExits;
+      baseType = 'phase';
+      open = [];
+    }
+
+    if (task.parallel) {
+      for (const dep of base) addEdge(dep, task.id, baseType);
+      open.push(task.id);
+    } else {
+      const deps = open.length > 0 ? open : base;
+      const type = open.length > 0 ? 'sequence' : baseType;
+      for (const dep of deps) addEdge(dep, task.id, type);
+      base = [task.id];
+      baseType = 'sequence';
+      open = [];
+    }
+  }
+
+  for (const task of tasks) {
+    for (const dep of parseExplicitDependencies(task.description)) {
+      if (ids.has(dep)) addEdge(dep, task.id, 'explicit');
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * Order tasks topologically (Kahn's algorithm, stable with respect to file order).
+ *
+ * @param {string[]} ids - Task IDs in file order
+ * @param {Array<{from: string, to: string}>} edges
+ * @returns {{order: string[], cyclic: string[]}} cyclic lists tasks caught in a dependency cycle
+ */
+function topologicalOrder(ids, edges) {
+  const indegree = Object.fromEntries(ids.map(id => [id, 0]));
+  const successors = Object.fromEntries(ids.map(id => [id, []]));
+  for (const e of edges) {
+    indegree[e.to]++;
+    successors[e.from].push(e.to);
+  }
+
+  const position = Object.fromEntries(ids.map((id, i) => [id, i]));
+  const ready = ids.filter(id => indegree[id] === 0);
+  const order = [];
+  while (ready.length > 0) {
+    ready.sort((a, b) => position[a] - position[b]);
+    const id = ready.shift();
+    order.push(id);
+    for (const next of successors[id]) {
+      if (--indegree[next] === 0) ready.push(next);
+    }
+  }
+
+  const ordered = new Set(order);
+  return { order, cyclic: ids.filter(id => !ordered.has(id)) };
+}
+
+/**
+ * Compute the critical path through the remaining (unchecked) tasks: the
+ * longest chain of open tasks, which bounds how soon the feature can finish.
+ * Checked tasks cost nothing, so they never lengthen the path.
+ *
+ * @param {string[]} order - Topological order
+ * @param {Array<{from: string, to: string}>} edges
+ * @param {Set<string>} checked - IDs of completed tasks
+ * @returns {string[]} Open task IDs on the critical path, first to last
+ */
+function computeCriticalPath(order, edges, checked) {
+  const inOrder = new Set(order);
+  const predecessors = {};
+  for (const e of edges) {
+    if (!inOrder.has(e.from) || !inOrder.has(e.to)) continue;
+    if (!predecessors[e.to]) predecessors[e.to] = [];
+    predecessors[e.to].push(e.from);
+  }
+
+  const length = {};
+  const via = {};
+  for (const id of order) {
+    let best = 0;
+    let bestPred = null;
+    for (const pred of predecessors[id] || []) {
+      if (length[pred] > best) {
+        best = length[pred];
+        bestPred = pred;
+      }
+    }
+    length[id] = best + (checked.has(id) ? 0 : 1);
+    via[id] = bestPred;
+  }
+
+  let end = null;
+  for (const id of order) {
+    if (end === null || length[id] > length[end]) end = id;
+  }
+  if (end === null || length[end] === 0) return [];
+
+  const path = [];
+  for (let id = end; id !== null; id = via[id]) {
+    if (!checked.has(id)) path.unshift(id);
+  }
+  return path;
+}
+
+/**
+ * Compute the task graph view state for a feature.
+ *
+ * @param {string} projectPath - Path to the project root
+ * @param {string} featureId - Feature directory name
+ * @returns {{nodes: Array<{id: string, description: string, checked: boolean, parallel: boolean, phase: number|null,
+ *   storyTag: string|null, dependsOn: string[], status: string, depth: number, onCriticalPath: boolean, source: Object}>,
+ *   edges: Array<{from: string, to: string, type: string}>, criticalPath: string[], unblocked: string[],
+ *   next: string|null, cycles: string[], exists: boolean}}
+ *   status is "done", "ready" (everything upstream checked) or "blocked".
+ */
+function computeTaskGraphState(projectPath, featureId) {
+  const tasksPath = path.join(featureDirPath(projectPath, featureId), 'tasks.md');
+  const emptyState = { nodes: [], edges: [], criticalPath: [], unblocked: [], next: null, cycles: [], exists: false };
+
+  if (!fs.existsSync(tasksPath)) return emptyState;
+
+  const tasks = parseTasks(readText(tasksPath), toSourcePath(projectPath, tasksPath));
+  if (tasks.length === 0) return emptyState;
+
+  // Duplicate IDs would make the graph ambiguous; the first occurrence wins (lint reports the rest)
+  const seenIds = new Set();
+  const uniqueTasks = tasks.filter(t => !seenIds.has(t.id) && seenIds.add(t.id));
+
+  const edges = buildTaskEdges(uniqueTasks);
+  const ids = uniqueTasks.map(t => t.id);
+  const { order, cyclic } = topologicalOrder(ids, edges);
+  const checked = new Set(uniqueTasks.filter(t => t.checked).map(t => t.id));
+  const criticalPath = computeCriticalPath(order, edges, checked);
+  const onCriticalPath = new Set(criticalPath);
+
+  const dependsOn = Object.fromEntries(ids.map(id => [id, []]));
+  for (const e of edges) dependsOn[e.to].push(e.from);
+
+  // A task is ready only when every task upstream of it is checked, so work done
+  // out of order past an incomplete checkpoint does not unblock its successors
+  const waiting = new Set(cyclic);
+  for (const id of order) {
+    if (dependsOn[id].some(dep => !checked.has(dep) || waiting.has(dep))) waiting.add(id);
+  }
+
+  // Layer index for layout: longest chain of prerequisites; cyclic tasks go in a final layer
+  const depth = {};
+  for (const id of order) {
+    depth[id] = dependsOn[id].reduce((max, dep) => Math.max(max, depth[dep] + 1), 0);
+  }
+  const lastLayer = order.reduce((max, id) => Math.max(max, depth[id] + 1), 0);
+  for (const id of cyclic) depth[id] = lastLayer;
+
+  const nodes = uniqueTasks.map(t => {
+    let status = 'blocked';
+    if (t.checked) status = 'done';
+    else if (!waiting.has(t.id)) status = 'ready';
+
+    return {
+      id: t.id,
+      description: t.description,
+      checked: t.checked,
+      parallel: t.parallel,
+      phase: t.phase,
+      storyTag: t.storyTag,
+      dependsOn: dependsOn[t.id],
+      status,
+      depth: depth[t.id],
+      onCriticalPath: onCriticalPath.has(t.id),
+      source: t.source
+    };
+  });
+
+  const unblocked = nodes.filter(n => n.status === 'ready').map(n => n.id);
+  const next = criticalPath.find(id => unblocked.includes(id)) || unblocked[0] || null;
+
+  return { nodes, edges, criticalPath, unblocked, next, cycles: cyclic, exists: true };
+}
+
+module.exports = { parseExplicitDependencies, buildTaskEdges, topologicalOrder, computeCriticalPath, computeTaskGraphState };
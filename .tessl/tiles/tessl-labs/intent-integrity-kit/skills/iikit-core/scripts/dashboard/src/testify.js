@@ -2,8 +2,11 @@
 
 const path = require('path');
 const fs = require('fs');
-const { parseRequirements, parseSuccessCriteria, parseTestSpecs, parseTasks, parseTaskTestRefs } = require('./parser');
-const { computeAssertionHash, checkIntegrity } = require('./integrity');
+const { parseRequirements, parseSuccessCriteria, parseTestSpecs, parseTasks, parseTaskTestRefs, toSourcePath } = require('./parser');
+const { evaluateFeatureIntegrity } = require('./integrity');
+const { loadTestResults, mapResultsToSpecs } = require('./results');
+const { featureDirPath } = require('./config');
+const { readText } = require('./files');
 
 /**
  * Get sorted list of .feature file paths in a feature's tests/features/ directory.
@@ -83,11 +86,13 @@ function findGaps(requirements, testSpecs, edges) {
 
 /**
  * Group test specs by type into pyramid tiers.
+ * When results are given, each tier also counts its specs by result status.
  *
  * @param {Array<{id: string, type: string}>} testSpecs
- * @returns {{acceptance: {count: number, ids: string[]}, contract: {count: number, ids: string[]}, validation: {count: number, ids: string[]}}}
+ * @param {Object<string, {status: string}>} [resultsBySpec] - From mapResultsToSpecs
+ * @returns {{acceptance: {count: number, ids: string[], results?: Object}, contract: {count: number, ids: string[], results?: Object}, validation: {count: number, ids: string[], results?: Object}}}
  */
-function buildPyramid(testSpecs) {
+function buildPyramid(testSpecs, resultsBySpec = null) {
   const groups = { acceptance: [], contract: [], validation: [] };
 
   for (const ts of testSpecs) {
@@ -96,11 +101,43 @@ function buildPyramid(testSpecs) {
     }
   }
 
-  return {
-    acceptance: { count: groups.acceptance.length, ids: groups.acceptance },
-    contract: { count: groups.contract.length, ids: groups.contract },
-    validation: { count: groups.validation.length, ids: groups.validation }
-  };
+  const pyramid = {};
+  for (const [tier, ids] of Object.entries(groups)) {
+    pyramid[tier] = { count: ids.length, ids };
+    if (resultsBySpec) {
+      const results = { passed: 0, failed: 0, skipped: 0, notRun: 0 };
+      for (const id of ids) {
+        results[resultsBySpec[id] ? resultsBySpec[id].status : 'notRun']++;
+      }
+      pyramid[tier].results = results;
+    }
+  }
+  return pyramid;
+}
+
+/**
+ * Check the feature's .feature files against the assertion hash stored by
+ * testify (context.json, else the git note). Shared by the board and testify views.
+ *
+ * @param {string} featureDir - Absolute feature directory
+ * @returns {Object} Integrity state from evaluateFeatureIntegrity, or status 'missing' without .feature files
+ */
+function computeFeatureIntegrity(featureDir) {
+  const featureFiles = getFeatureFiles(featureDir);
+  if (featureFiles.length === 0) return { status: 'missing', currentHash: null, storedHash: null };
+
+  const allFeatureContent = featureFiles.map(f => readText(f)).join('\n');
+  let storedTestify = null;
+  const contextPath = path.join(featureDir, 'context.json');
+  if (fs.existsSync(contextPath)) {
+    try {
+      const context = JSON.parse(readText(contextPath));
+      storedTestify = context?.testify || null;
+    } catch {
+      // malformed context.json
+    }
+  }
+  return evaluateFeatureIntegrity(featureDir, allFeatureContent, storedTestify);
 }
 
 /**
@@ -108,13 +145,13 @@ function buildPyramid(testSpecs) {
  *
  * @param {string} projectPath - Path to the project root
  * @param {string} featureId - Feature directory name
+ * @param {Object} [integrity] - From computeFeatureIntegrity(), when the caller already has it
  * @returns {Object} TestifyViewState
  */
-function computeTestifyState(projectPath, featureId) {
-  const featureDir = path.join(projectPath, 'specs', featureId);
+function computeTestifyState(projectPath, featureId, integrity = null) {
+  const featureDir = featureDirPath(projectPath, featureId);
   const specPath = path.join(featureDir, 'spec.md');
   const tasksPath = path.join(featureDir, 'tasks.md');
-  const contextPath = path.join(featureDir, 'context.json');
 
   const emptyState = {
     requirements: [],
@@ -128,58 +165,56 @@ function computeTestifyState(projectPath, featureId) {
       validation: { count: 0, ids: [] }
     },
     integrity: { status: 'missing', currentHash: null, storedHash: null },
+    results: { exists: false, summary: null, unmapped: [] },
     exists: false
   };
 
   if (!fs.existsSync(featureDir)) return emptyState;
 
   // Parse requirements (FR-xxx and SC-xxx)
-  const specContent = fs.existsSync(specPath) ? fs.readFileSync(specPath, 'utf-8') : '';
-  const frReqs = parseRequirements(specContent);
-  const scReqs = parseSuccessCriteria(specContent);
+  const specContent = readText(specPath) || '';
+  const specSource = toSourcePath(projectPath, specPath);
+  const frReqs = parseRequirements(specContent, specSource);
+  const scReqs = parseSuccessCriteria(specContent, specSource);
   const requirements = [...frReqs, ...scReqs];
 
   // Parse test specs from .feature files
   const featureFiles = getFeatureFiles(featureDir);
   const testSpecsExist = featureFiles.length > 0;
-  const featureContents = featureFiles.map(f => fs.readFileSync(f, 'utf-8'));
-  const allFeatureContent = featureContents.join('\n');
+  const featureContents = featureFiles.map(f => readText(f));
   const testSpecs = testSpecsExist
-    ? featureContents.reduce((acc, content) => acc.concat(parseTestSpecs(content)), [])
+    ? featureContents.reduce((acc, content, i) =>
+      acc.concat(parseTestSpecs(content, toSourcePath(projectPath, featureFiles[i]))), [])
     : [];
 
   // Parse tasks and extract test spec refs
-  const tasksContent = fs.existsSync(tasksPath) ? fs.readFileSync(tasksPath, 'utf-8') : '';
-  const rawTasks = parseTasks(tasksContent);
+  const tasksContent = readText(tasksPath) || '';
+  const rawTasks = parseTasks(tasksContent, toSourcePath(projectPath, tasksPath));
   const taskTestRefs = parseTaskTestRefs(rawTasks);
   const tasks = rawTasks.map(t => ({
     id: t.id,
     description: t.description,
-    testSpecRefs: taskTestRefs[t.id] || []
+    testSpecRefs: taskTestRefs[t.id] || [],
+    source: t.source
   }));
 
+  // Map test run results (tests/results/) onto test specs
+  const rawResults = loadTestResults(featureDir, toSourcePath(projectPath, path.join(featureDir, 'tests', 'results')));
+  let results = { exists: false, summary: null, unmapped: [] };
+  let resultsBySpec = null;
+  if (rawResults.length > 0) {
+    const mapped = mapResultsToSpecs(rawResults, testSpecs, taskTestRefs);
+    resultsBySpec = mapped.bySpec;
+    for (const ts of testSpecs) {
+      ts.result = resultsBySpec[ts.id] || null;
+    }
+    results = { exists: true, summary: mapped.summary, unmapped: mapped.unmapped };
+  }
+
   // Build edges, gaps, and pyramid
   const edges = buildEdges(requirements, testSpecs, taskTestRefs);
   const gaps = findGaps(requirements, testSpecs, edges);
-  const pyramid = buildPyramid(testSpecs);
-
-  // Integrity check
-  let integrity = { status: 'missing', currentHash: null, storedHash: null };
-  if (testSpecsExist) {
-    const currentHash = computeAssertionHash(allFeatureContent);
-
-    let storedHash = null;
-    if (fs.existsSync(contextPath)) {
-      try {
-        const context = JSON.parse(fs.readFileSync(contextPath, 'utf-8'));
-        storedHash = context?.testify?.assertion_hash || null;
-      } catch {
-        // malformed context.json
-      }
-    }
-
-    integrity = checkIntegrity(currentHash, storedHash);
-  }
+  const pyramid = buildPyramid(testSpecs, resultsBySpec);
 
   return {
     requirements,
@@ -188,9 +223,10 @@ function computeTestifyState(projectPath, featureId) {
     edges,
     gaps,
     pyramid,
-    integrity,
+    integrity: integrity || computeFeatureIntegrity(featureDir),
+    results,
     exists: testSpecsExist
   };
 }
 
-module.exports = { buildEdges, findGaps, buildPyramid, computeTestifyState, getFeatureFiles };
+module.exports = { buildEdges, findGaps, buildPyramid, computeFeatureIntegrity, computeTestifyState, getFeatureFiles };
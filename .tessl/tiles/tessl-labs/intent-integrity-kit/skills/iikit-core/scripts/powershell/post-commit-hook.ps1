@@ -79,11 +79,12 @@ if ($committedFeatureFiles) {
     }
 
     foreach ($featDir in $committedFeatDirs.Keys) {
-        # Extract all committed .feature files for this feature to temp dir
+        # Extract every .feature file of this feature from the HEAD tree, not only
+        # the ones this commit changed: the note must cover the whole directory
         $tempFeaturesDir = Join-Path ([System.IO.Path]::GetTempPath()) ([System.IO.Path]::GetRandomFileName())
         New-Item -ItemType Directory -Path $tempFeaturesDir -Force | Out-Null
 
-        $featFiles = $committedFeatureFiles | Where-Object { $_ -match "^$([regex]::Escape($featDir))/" }
+        $featFiles = git ls-tree --name-only HEAD -- "$featDir/tests/features/" 2>$null | Where-Object { $_ -match '\.feature$' }
         foreach ($cf in $featFiles) {
             if ([string]::IsNullOrEmpty($cf)) { continue }
             $basename = Split-Path $cf -Leaf
@@ -120,6 +120,11 @@ if ($stagedFeatureFiles) {
 
         # Compute combined hash of staged .feature files
         $currentHash = & $testifyScript compute-hash $tempFeaturesDir
+        $legacyHash = & $testifyScript compute-legacy-hash $tempFeaturesDir
+
+        # Staged files with table rows or doc strings: content a legacy step-only hash doesn't cover
+        $stagedHasTables = [bool](Get-ChildItem -Path $tempFeaturesDir -Filter '*.feature' -File |
+            Select-String -Pattern '^\s*(\||"""|```)' -Quiet)
         Remove-Item -Recurse -Force $tempFeaturesDir -ErrorAction SilentlyContinue
 
         if ($currentHash -eq "NO_ASSERTIONS") {
@@ -149,8 +154,11 @@ if ($stagedFeatureFiles) {
                     $storedDir = if ($context.testify.PSObject.Properties.Name -contains 'features_dir') { $context.testify.features_dir } else { "" }
 
                     if (-not [string]::IsNullOrEmpty($storedHash) -and -not [string]::IsNullOrEmpty($storedDir)) {
+                        # A step-only hash from before tables and doc strings were hashed (see Get-AssertionHashStatus)
                         if ($storedHash -eq $currentHash) {
                             $contextStatus = "valid"
+                        } elseif ($storedHash -eq $legacyHash) {
+                            $contextStatus = "legacy"
                         } else {
                             $contextStatus = "invalid"
                         }
@@ -165,8 +173,8 @@ if ($stagedFeatureFiles) {
         $hashStatus = "missing"
         if ($contextStaged -and $contextStatus -eq "valid") {
             $hashStatus = "valid"
-        } elseif ($contextStatus -eq "invalid") {
-            $hashStatus = "invalid"
+        } elseif ($contextStatus -eq "invalid" -or $contextStatus -eq "legacy") {
+            $hashStatus = $contextStatus
         } elseif ($contextStatus -eq "valid") {
             $hashStatus = "valid"
         }
@@ -182,6 +190,15 @@ if ($stagedFeatureFiles) {
                 $blockMessages += "  .feature file assertions have been modified since /iikit-04-testify generated them."
                 $blockMessages += "  Re-run /iikit-04-testify to regenerate .feature files."
             }
+            "legacy" {
+                Write-Warning "[iikit] $featDir/tests/features/ - stored assertion hash is a legacy step-only hash"
+                Write-Warning "[iikit]   Examples table values and doc strings are not covered by it."
+                if ($stagedHasTables) {
+                    $blocked = $true
+                    $blockMessages += "BLOCKED: $featDir/tests/features/ - legacy assertion hash cannot verify staged Examples rows or doc strings"
+                    $blockMessages += "  Re-run /iikit-04-testify (testify-tdd.ps1 store-hash) to store a hash that covers them."
+                }
+            }
             "missing" {
                 if ($tddDetermination -eq "mandatory") {
                     Write-Warning "[iikit] $featDir/tests/features/ - no stored assertion hash found (TDD is mandatory)"